@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+import { runRpcDeclarations } from '../src/declarations.js'
+
+try {
+    await runRpcDeclarations(process.argv.slice(2))
+} catch (error) {
+    console.error(error.message)
+    process.exitCode = 1
+}
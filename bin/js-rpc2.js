@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+import { runRpcCli } from '../src/cli.js'
+
+process.exitCode = await runRpcCli(process.argv.slice(2))
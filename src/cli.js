@@ -0,0 +1,262 @@
+import { createInterface } from 'node:readline'
+import { inspect, parseArgs } from 'node:util'
+import { unpack } from 'msgpackr'
+import { createRpcClientHttp, createRpcClientWebSocket, RPC_METHOD_DESCRIBE } from './lib.js'
+
+/**
+ * @import { Readable, Writable } from 'node:stream'
+ * @import { RPC_DESCRIPTION } from "./types.js"
+ */
+
+const RPC_CLI_USAGE = `usage: js-rpc2 <url> <method> [args...]
+       js-rpc2 <url> --repl
+
+Calls <method> of the server at <url>, an http(s) or ws(s) URL. Every argument is JSON, anything
+that is not JSON is a string, and @callback is a callback whose invocations are printed.
+
+  -k, --key <rpcKey>         the rpcKey of the server
+  -m, --metadata <key=value> call metadata, repeatable
+  -t, --timeout <ms>         call timeout, 30000 by default
+      --msgpack <base64>     the arguments as a msgpack encoded array, instead of [args...]
+      --json                 print JSON instead of inspected values
+  -i, --repl                 read calls from the input, tab completes the method names
+  -h, --help                 print this help
+`
+
+/** the argument that is replaced by a callback printing its invocations */
+export const RPC_CLI_CALLBACK = '@callback'
+
+/**
+ * The `js-rpc2` command, resolves with the exit code.
+ * @param {string[]} args
+ * @param {{ input?: Readable; output?: Writable; error?: Writable; }} [io] the standard streams by default
+ * @returns {Promise<number>}
+ */
+export async function runRpcCli(args, io = {}) {
+    const input = io.input ?? process.stdin
+    const output = io.output ?? process.stdout
+    const error = io.error ?? process.stderr
+    /** @type{any} */
+    let parsed = null
+    try {
+        parsed = parseArgs({
+            args,
+            allowPositionals: true,
+            options: {
+                key: { type: 'string', short: 'k', default: '' },
+                metadata: { type: 'string', short: 'm', multiple: true, default: [] },
+                timeout: { type: 'string', short: 't', default: '30000' },
+                msgpack: { type: 'string' },
+                json: { type: 'boolean', default: false },
+                repl: { type: 'boolean', short: 'i', default: false },
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+        })
+    } catch (e) {
+        error.write(`${e.message}\n\n${RPC_CLI_USAGE}`)
+        return 2
+    }
+    const { values, positionals } = parsed
+    const [url, method, ...params] = positionals
+    if (values.help || !url || (!values.repl && !method)) {
+        (values.help ? output : error).write(RPC_CLI_USAGE)
+        return values.help ? 0 : 2
+    }
+    /** @type{Record<string,string>} */
+    const metadata = {}
+    for (const item of values.metadata) {
+        let index = item.indexOf('=')
+        if (index < 1) {
+            error.write(`invalid metadata ${item}, expected key=value\n`)
+            return 2
+        }
+        metadata[item.slice(0, index)] = item.slice(index + 1)
+    }
+    /** @param {any} value */
+    const format = (value) => values.json ? JSON.stringify(value, jsonReplacer) : inspect(value, { depth: null, colors: Boolean(output['isTTY']) })
+    const print = (/** @type {string} */ text) => output.write(text + '\n')
+
+    const ac = new AbortController()
+    try {
+        // the connection messages of the client would mix into the printed results
+        const options = { url, rpcKey: values.key, timeout: Number(values.timeout), metadata, logger: () => { } }
+        /** @type{any} */
+        let rpc = null
+        if (/^wss?:/.test(url)) {
+            if (typeof WebSocket == 'undefined') {
+                error.write(`${url} needs a global WebSocket, Node.js 22 or later has one\n`)
+                return 2
+            }
+            rpc = createRpcClientWebSocket({ ...options, signal: ac.signal })
+        } else if (/^https?:/.test(url)) {
+            rpc = createRpcClientHttp({ ...options, signal: ac.signal })
+        } else {
+            error.write(`unsupported url ${url}, expected http(s) or ws(s)\n`)
+            return 2
+        }
+        /**
+         * @param {string} name
+         * @param {any[]} args
+         */
+        const call = async (name, args) => {
+            let callbacks = 0
+            args = args.map((o) => {
+                if (o !== RPC_CLI_CALLBACK) {
+                    return o
+                }
+                let index = callbacks++
+                return async (/** @type {any[]} */ ...values) => {
+                    print(`callback[${index}] ${values.map(format).join(' ')}`)
+                }
+            })
+            let fn = name.split('.').reduce((o, key) => o[key], rpc)
+            let result = await fn(...args)
+            if (result instanceof ReadableStream) {
+                for await (const chunk of result) {
+                    print(format(chunk))
+                }
+                return
+            }
+            print(format(result))
+        }
+        if (!values.repl) {
+            let args = values.msgpack != null ? unpack(Buffer.from(values.msgpack, 'base64')) : params.map(parseRpcCliArgument)
+            if (!Array.isArray(args)) {
+                error.write('--msgpack has to encode an array of arguments\n')
+                return 2
+            }
+            try {
+                await call(method, args)
+                return 0
+            } catch (e) {
+                error.write(formatRpcCliError(e))
+                return 1
+            }
+        }
+        /** @type{string[]} */
+        let methods = []
+        try {
+            /** @type{RPC_DESCRIPTION} */
+            let description = await rpc[RPC_METHOD_DESCRIBE]()
+            methods = description.methods.map((o) => o.name)
+        } catch (e) {
+            error.write(`no tab completion, ${RPC_METHOD_DESCRIBE} failed: ${e.message}\n`)
+        }
+        const commands = ['.help', '.methods', '.exit']
+        const rl = createInterface({
+            input, output, prompt: 'rpc> ', terminal: Boolean(output['isTTY']),
+            completer(/** @type {string} */ line) {
+                if (/\s/.test(line)) {
+                    return [[], line]
+                }
+                let hits = [...commands, ...methods].filter((o) => o.startsWith(line))
+                return [hits, line]
+            },
+        })
+        // piped input closes the interface while calls of its last lines still run
+        let closed = false
+        rl.once('close', () => { closed = true })
+        rl.prompt()
+        for await (const line of rl) {
+            let text = line.trim()
+            if (text == '.exit') {
+                break
+            } else if (text == '.help') {
+                print('<method> [args...] calls a method, arguments are like the ones of the command line\n.methods lists the methods\n.exit quits')
+            } else if (text == '.methods') {
+                print(methods.join('\n'))
+            } else if (text) {
+                let [name, ...tokens] = splitRpcCliLine(text)
+                try {
+                    await call(name, tokens.map(parseRpcCliArgument))
+                } catch (e) {
+                    error.write(formatRpcCliError(e))
+                }
+            }
+            if (!closed) {
+                rl.prompt()
+            }
+        }
+        rl.close()
+        return 0
+    } finally {
+        ac.abort()
+    }
+}
+
+/**
+ * JSON, `RPC_CLI_CALLBACK` or a string.
+ * @param {string} text
+ */
+export function parseRpcCliArgument(text) {
+    if (text === RPC_CLI_CALLBACK) {
+        return text
+    }
+    try {
+        return JSON.parse(text)
+    } catch {
+        return text
+    }
+}
+
+/**
+ * Splits a line of the REPL at spaces outside of JSON strings, objects and arrays.
+ * @param {string} line
+ */
+export function splitRpcCliLine(line) {
+    /** @type{string[]} */
+    let tokens = []
+    let token = ''
+    let depth = 0
+    let quote = false
+    for (let i = 0; i < line.length; i++) {
+        let c = line[i]
+        if (quote) {
+            if (c == '\\') {
+                token += c + (line[++i] ?? '')
+                continue
+            }
+            quote = c != '"'
+        } else if (c == '"') {
+            quote = true
+        } else if (c == '{' || c == '[') {
+            depth++
+        } else if (c == '}' || c == ']') {
+            depth--
+        } else if (depth == 0 && /\s/.test(c)) {
+            if (token) {
+                tokens.push(token)
+            }
+            token = ''
+            continue
+        }
+        token += c
+    }
+    if (token) {
+        tokens.push(token)
+    }
+    return tokens
+}
+
+/**
+ * @param {any} error
+ */
+function formatRpcCliError(error) {
+    let code = error?.code !== undefined ? ` (${error.code})` : ''
+    let issues = Array.isArray(error?.issues) ? error.issues.map((/** @type {any} */ o) => `\n  ${(o.path ?? []).join('.')}: ${o.message}`).join('') : ''
+    return `error: ${error?.message ?? error}${code}${issues}\n`
+}
+
+/**
+ * @param {string} _key
+ * @param {any} value
+ */
+function jsonReplacer(_key, value) {
+    if (typeof value == 'bigint') {
+        return value.toString()
+    }
+    if (value instanceof Uint8Array) {
+        return Buffer.from(value).toString('base64')
+    }
+    return value
+}
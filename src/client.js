@@ -1 +1 @@
-export { createRpcClientHelper, createRpcClientWebSocket, createRpcClientHttp } from './lib.js'
\ No newline at end of file
+export { createRpcClientHelper, createRpcClientWebSocket, createRpcClientHttp, createRpcClientHttpStream, createRpcClientEventSource, rpcService } from './lib.js'
\ No newline at end of file
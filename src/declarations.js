@@ -0,0 +1,420 @@
+import { readFile, writeFile } from 'node:fs/promises'
+import { resolve } from 'node:path'
+import { fileURLToPath, pathToFileURL } from 'node:url'
+import { parseArgs } from 'node:util'
+import { describeRpcMethods, getRpcMethod } from './lib.js'
+
+/**
+ * @import { RPC_METHOD_SCHEMA, RPC_SCHEMA } from "./types.js"
+ */
+
+/**
+ * @typedef {{
+ * name: string;
+ * type: string;
+ * optional: boolean;
+ * rest: boolean;
+ * }} RPC_DECLARATION_PARAM
+ */
+
+/**
+ * Generates the `.d.ts` of a client interface for `extension`: every method the server exposes,
+ * see `describeRpcMethods`, returning a Promise. Types come from `schemas` first and then from the
+ * JSDoc of the methods in `source`, anything else is `any`. Types named in the JSDoc are copied as
+ * they are, so typedefs of the module have to be visible where the declarations are used. Type
+ * annotations of TypeScript are not read, `source` is JavaScript.
+ * @param {{
+ * extension: object;
+ * services?: Map<string,object>;
+ * schemas?: Record<string,RPC_METHOD_SCHEMA>;
+ * source?: string;
+ * name?: string;
+ * }} param `source` is the code of the module of `extension`, `name` of the interface defaults to `RpcApi`
+ * @returns {string}
+ */
+export function generateRpcDeclarations(param) {
+    const options = { extension: param.extension, services: param.services, schemas: param.schemas }
+    /** @type{Map<string,any>} a tree of the dotted method names, leaves are the declarations */
+    const tree = new Map()
+    for (const method of describeRpcMethods(options).methods) {
+        let names = method.name.split('.')
+        let node = tree
+        for (const name of names.slice(0, -1)) {
+            if (!(node.get(name) instanceof Map)) {
+                node.set(name, new Map())
+            }
+            node = node.get(name)
+        }
+        let schema = param.schemas && Object.hasOwn(param.schemas, method.name) ? param.schemas[method.name] : null
+        node.set(names.at(-1), declareMethod(names.at(-1), getRpcMethod(options, method.name), schema, param.source ?? ''))
+    }
+    /**
+     * @param {Map<string,any>} node
+     * @param {string} indent
+     * @returns {string[]}
+     */
+    const render = (node, indent) => [...node].flatMap(([name, value]) => {
+        if (value instanceof Map) {
+            return [`${indent}${propertyName(name)}: {`, ...render(value, indent + '    '), `${indent}};`]
+        }
+        return value.split('\n').map((/** @type {string} */ line) => indent + line)
+    })
+    return [
+        '// Generated by js-rpc2/src/declarations.js, do not edit.',
+        '',
+        `export interface ${param.name ?? 'RpcApi'} {`,
+        ...render(tree, '    '),
+        '}',
+        '',
+    ].join('\n')
+}
+
+/**
+ * @param {string} name
+ * @param {Function} method
+ * @param {RPC_METHOD_SCHEMA} schema
+ * @param {string} source
+ */
+function declareMethod(name, method, schema, source) {
+    const doc = findJsDoc(source, name, method)
+    const sourceParams = parseSourceParams(method)
+    let count = Math.max(schema?.args?.length ?? 0, doc?.params.length ?? 0, sourceParams.length)
+    /** @type{RPC_DECLARATION_PARAM[]} */
+    let params = []
+    for (let i = 0; i < count; i++) {
+        let fromDoc = doc?.params[i]
+        let fromSource = sourceParams[i]
+        let fromSchema = schema?.args?.[i]
+        params.push({
+            name: fromDoc?.name ?? fromSource?.name ?? `arg${i}`,
+            type: fromSchema ? typeOfSchema(fromSchema) : fromDoc?.type ? clientParamType(fromDoc.type) : fromSource?.rest ? 'any[]' : 'any',
+            optional: fromSchema ? acceptsUndefined(fromSchema) : Boolean(fromDoc?.optional || fromSource?.optional),
+            rest: Boolean(fromSource?.rest),
+        })
+    }
+    // a required parameter can not follow an optional one
+    for (let i = params.length - 2; i >= 0; i--) {
+        params[i].optional = params[i].optional && (params[i + 1].optional || params[i + 1].rest)
+    }
+    let result = schema?.result ? typeOfSchema(schema.result) : doc?.returns ? clientResultType(doc.returns) : null
+    if (result == null) {
+        result = method.constructor.name == 'AsyncGeneratorFunction' ? 'ReadableStream<any> & AsyncIterable<any>' : 'any'
+    }
+    let signature = `${propertyName(name)}(${params.map((o) => `${o.rest ? '...' : ''}${o.name}${o.optional && !o.rest ? '?' : ''}: ${o.type}`).join(', ')}): Promise<${result}>;`
+    let description = schema?.description ?? doc?.description
+    if (!description) {
+        return signature
+    }
+    let lines = description.split('\n')
+    return [lines.length == 1 ? `/** ${lines[0]} */` : ['/**', ...lines.map((o) => ` * ${o}`), ' */'].join('\n'), signature].join('\n')
+}
+
+/**
+ * The doc comment right before the definition of `name`, as a method, a property or a function.
+ * Only the definition of `method` itself counts, found by its code, so methods of the same name
+ * in other services or classes of `source` never lend it their comments.
+ * @param {string} source
+ * @param {string} name
+ * @param {Function} method
+ * @returns {{description:string;params:{name:string;type:string;optional:boolean;}[];returns:string;}} null without one
+ */
+function findJsDoc(source, name, method) {
+    let escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    let pattern = new RegExp(`/\\*\\*((?:(?!\\*/)[\\s\\S])*)\\*/\\s*(?:static\\s+)?(?:async\\s+)?(?:\\*\\s*)?(?:function\\s*\\*?\\s*)?${escaped}\\s*(?:\\(|[:=]\\s*(?:async\\s+)?(?:function\\b[^(]*)?\\()`, 'g')
+    let code = Function.prototype.toString.call(method)
+    let comment = null
+    for (const match of source.matchAll(pattern)) {
+        // the name and the `(` of the match end inside the code of the method
+        let end = match.index + match[0].length
+        let start = source.lastIndexOf(code, end - 1)
+        if (start >= 0 && start > match.index && start < end && end <= start + code.length) {
+            comment = match[1]
+            break
+        }
+    }
+    if (comment == null) {
+        return null
+    }
+    let text = comment.split('\n').map((line) => line.replace(/^\s*\*\s?/, '')).join('\n').trim()
+    let tagStart = text.search(/(^|\n)\s*@/)
+    let description = (tagStart < 0 ? text : text.slice(0, tagStart)).trim()
+    /** @type{{name:string;type:string;optional:boolean;}[]} */
+    let params = []
+    let returns = null
+    for (const match of text.matchAll(/@(param|arg|argument|returns?)\b\s*/g)) {
+        let index = match.index + match[0].length
+        let type = null
+        if (text[index] == '{') {
+            let end = matchingBrace(text, index)
+            type = text.slice(index + 1, end).trim()
+            index = end + 1
+        }
+        if (match[1].startsWith('return')) {
+            returns = type
+            continue
+        }
+        let token = /^\s*(\[[^\]]*\]|[\w$.]+)/.exec(text.slice(index))?.[1]
+        if (!token) {
+            continue
+        }
+        let optional = token.startsWith('[') || type?.endsWith('=')
+        let paramName = token.replace(/^\[/, '').replace(/\]$/, '').split('=')[0].trim()
+        if (paramName.includes('.')) {
+            // a property of a parameter documented before
+            continue
+        }
+        params.push({ name: paramName, type: type?.replace(/=$/, '') ?? null, optional })
+    }
+    return { description, params, returns }
+}
+
+/**
+ * @param {string} text
+ * @param {number} start the index of `{`
+ */
+function matchingBrace(text, start) {
+    let depth = 0
+    for (let i = start; i < text.length; i++) {
+        if (text[i] == '{') {
+            depth++
+        } else if (text[i] == '}' && --depth == 0) {
+            return i
+        }
+    }
+    return text.length
+}
+
+/**
+ * @param {Function} method
+ * @returns {{name:string;optional:boolean;rest:boolean;}[]}
+ */
+function parseSourceParams(method) {
+    let code = Function.prototype.toString.call(method)
+    let open = code.indexOf('(')
+    let arrow = code.indexOf('=>')
+    if (open < 0 || (arrow >= 0 && arrow < open)) {
+        // an arrow function with a single parameter and no parentheses
+        let name = arrow >= 0 ? code.slice(0, arrow).replace(/^async\s+/, '').trim() : ''
+        return /^[\w$]+$/.test(name) ? [{ name, optional: false, rest: false }] : []
+    }
+    let parts = splitTopLevel(code.slice(open + 1, closingParen(code, open)), ',')
+    return parts.filter((o) => o.trim()).map((part, i) => {
+        let text = part.trim()
+        let rest = text.startsWith('...')
+        let name = /^(?:\.\.\.)?([\w$]+)/.exec(text)?.[1] ?? `arg${i}`
+        return { name, optional: splitTopLevel(text, '=').length > 1, rest }
+    })
+}
+
+/**
+ * @param {string} code
+ * @param {number} open the index of `(`
+ */
+function closingParen(code, open) {
+    let depth = 0
+    for (let i = open; i < code.length; i++) {
+        if ('([{'.includes(code[i])) {
+            depth++
+        } else if (')]}'.includes(code[i]) && --depth == 0) {
+            return i
+        }
+    }
+    return code.length
+}
+
+/**
+ * Splits at `separator` outside of brackets and strings, `=>` and comparisons are not split at `=`.
+ * @param {string} text
+ * @param {string} separator
+ */
+function splitTopLevel(text, separator) {
+    /** @type{string[]} */
+    let parts = []
+    let depth = 0
+    let quote = null
+    let start = 0
+    for (let i = 0; i < text.length; i++) {
+        let c = text[i]
+        if (quote) {
+            if (c == '\\') {
+                i++
+            } else if (c == quote) {
+                quote = null
+            }
+        } else if (c == '"' || c == "'" || c == '`') {
+            quote = c
+        } else if ('([{<'.includes(c)) {
+            depth++
+        } else if (')]}'.includes(c) || (c == '>' && text[i - 1] != '=')) {
+            depth--
+        } else if (depth == 0 && c == separator && !(separator == '=' && '=>!<'.includes(text[i + 1] ?? '') || separator == '=' && '=!<>'.includes(text[i - 1] ?? ''))) {
+            parts.push(text.slice(start, i))
+            start = i + 1
+        }
+    }
+    parts.push(text.slice(start))
+    return parts
+}
+
+/**
+ * A stream parameter accepts an async iterable on the client too, see the streaming arguments.
+ * @param {string} type
+ */
+function clientParamType(type) {
+    let stream = /^ReadableStream\s*<([\s\S]*)>$/.exec(type)
+    if (stream) {
+        return `ReadableStream<${stream[1]}> | AsyncIterable<${stream[1]}>`
+    }
+    return type
+}
+
+/**
+ * What the client receives for the JSDoc `@returns` type of a method: streamed results arrive as
+ * a `ReadableStream` that is also async iterable.
+ * @param {string} type
+ */
+function clientResultType(type) {
+    let promise = /^Promise\s*<([\s\S]*)>$/.exec(type)
+    if (promise) {
+        type = promise[1].trim()
+    }
+    let stream = /^(?:AsyncGenerator|AsyncIterable|AsyncIterableIterator|ReadableStream)\s*<([\s\S]*)>$/.exec(type)
+    if (stream) {
+        let item = splitTopLevel(stream[1], ',')[0].trim()
+        return `ReadableStream<${item}> & AsyncIterable<${item}>`
+    }
+    return type
+}
+
+/**
+ * @param {RPC_SCHEMA} schema
+ */
+function acceptsUndefined(schema) {
+    let result = schema['~standard'].validate(undefined)
+    return !(result instanceof Promise) && !result.issues
+}
+
+/**
+ * @param {RPC_SCHEMA} schema
+ */
+function typeOfSchema(schema) {
+    /** @type{any} */
+    let standard = schema['~standard']
+    let jsonSchema = schema.jsonSchema
+    if (!jsonSchema) {
+        try {
+            jsonSchema = standard.jsonSchema?.input?.({ target: 'draft-2020-12' })
+        } catch {
+            jsonSchema = null
+        }
+    }
+    return typeOfJsonSchema(jsonSchema)
+}
+
+/**
+ * @param {Record<string,any>} schema a JSON Schema, with the `x-rpc-type` of `rpcSchema.function` and `rpcSchema.instance`
+ * @returns {string}
+ */
+export function typeOfJsonSchema(schema) {
+    if (!schema || Object.keys(schema).length == 0) {
+        return 'any'
+    }
+    /** @param {Record<string,any>} o */
+    const member = (o) => {
+        let type = typeOfJsonSchema(o)
+        return /=>|[|&]/.test(type) ? `(${type})` : type
+    }
+    if (schema['x-rpc-type'] == 'function') {
+        let args = (schema['x-rpc-args'] ?? []).map((/** @type {any} */ o, /** @type {number} */ i) => `arg${i}: ${typeOfJsonSchema(o)}`)
+        return `(${args.join(', ')}) => Promise<void>`
+    }
+    if (schema['x-rpc-type']) {
+        return schema['x-rpc-type']
+    }
+    if ('const' in schema) {
+        return JSON.stringify(schema.const)
+    }
+    if (schema.enum) {
+        return schema.enum.map((/** @type {any} */ o) => JSON.stringify(o)).join(' | ')
+    }
+    if (schema.anyOf || schema.oneOf) {
+        return (schema.anyOf ?? schema.oneOf).map(member).join(' | ')
+    }
+    if (Array.isArray(schema.type)) {
+        return schema.type.map((/** @type {string} */ type) => member({ ...schema, type })).join(' | ')
+    }
+    switch (schema.type) {
+        case 'string':
+            return 'string'
+        case 'number':
+        case 'integer':
+            return 'number'
+        case 'boolean':
+            return 'boolean'
+        case 'null':
+            return 'null'
+        case 'array':
+            return schema.items ? `${member(schema.items)}[]` : 'any[]'
+        case 'object': {
+            let keys = Object.keys(schema.properties ?? {})
+            if (!keys.length) {
+                return 'Record<string, any>'
+            }
+            let required = schema.required ?? []
+            return `{ ${keys.map((key) => `${propertyName(key)}${required.includes(key) ? '' : '?'}: ${typeOfJsonSchema(schema.properties[key])}`).join('; ')} }`
+        }
+    }
+    return 'any'
+}
+
+/**
+ * @param {string} name
+ */
+function propertyName(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name)
+}
+
+/**
+ * `js-rpc2-dts <module> [--export name] [--schemas name] [--name RpcApi] [--out file]`, also run as
+ * `node src/declarations.js`, a class export is instantiated without arguments.
+ * @param {string[]} args
+ */
+export async function runRpcDeclarations(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            export: { type: 'string', default: 'default' },
+            schemas: { type: 'string', default: 'schemas' },
+            name: { type: 'string', default: 'RpcApi' },
+            out: { type: 'string' },
+        },
+    })
+    if (positionals.length != 1) {
+        throw new Error('usage: js-rpc2-dts <module> [--export name] [--schemas name] [--name RpcApi] [--out file]')
+    }
+    let file = resolve(positionals[0])
+    let module = await import(pathToFileURL(file).href)
+    let extension = module[values.export]
+    if (extension == null) {
+        throw new Error(`${positionals[0]} has no export ${values.export}`)
+    }
+    if (typeof extension == 'function' && /^class\b/.test(Function.prototype.toString.call(extension))) {
+        extension = new extension()
+    }
+    let text = generateRpcDeclarations({
+        extension, schemas: module[values.schemas], source: await readFile(file, 'utf8'), name: values.name,
+    })
+    if (values.out) {
+        await writeFile(values.out, text)
+    } else {
+        process.stdout.write(text)
+    }
+}
+
+if (process.argv[1] && resolve(process.argv[1]) == fileURLToPath(import.meta.url)) {
+    runRpcDeclarations(process.argv.slice(2)).catch((error) => {
+        console.error(error.message)
+        process.exitCode = 1
+    })
+}
@@ -1,7 +1,7 @@
 import { Packr } from 'msgpackr'
 
 /**
- * @import { CALLBACK_ITEM, RPC_DATA, RPC_DATA_ARG_ITEM } from "./types.js"
+ * @import { CALLBACK_ITEM, RPC_CALL_CONTEXT, RPC_DATA, RPC_DATA_ARG_ITEM, RPC_DATA_HEADER, RPC_ERROR_DATA, RPC_EVENT, RPC_CLIENT_METADATA, RPC_DESCRIPTION, RPC_INVOKE_CONTEXT, RPC_METADATA, RPC_METHOD_SCHEMA, RPC_MIDDLEWARE, RPC_SCHEMA, RPC_SCHEMA_ISSUE, RPC_SPAN, RPC_SPAN_CONTEXT, RPC_TRACER } from "./types.js"
  * @import { MessagePort as NodeJSMessagePort, Worker as NodeJSWorker } from 'node:worker_threads'
  */
 
@@ -24,40 +24,65 @@ export function Promise_withResolvers() {
 }
 
 /**
- * @param {Promise<[CryptoKey,Uint8Array<ArrayBuffer>]>} key_iv
+ * @typedef {'client'|'server'} RPC_ROLE
+ * @typedef {{ seal: (data:Uint8Array<ArrayBuffer>) => Promise<Uint8Array<ArrayBuffer>>; }} RPC_FRAME_SEALER
+ * @typedef {{ open: (data:Uint8Array<ArrayBuffer>) => Promise<Uint8Array<ArrayBuffer>>; }} RPC_FRAME_OPENER
+ * @typedef {Map<string,{key:Promise<CryptoKey>;max:number;seen:Set<number>;}>} RPC_FRAME_SENDERS
+ */
+
+/**
+ * @param {Promise<CryptoKey>} rpcKey see `buildRpcKey`, or `handshake.key`
+ * @param {RPC_ROLE} role this side of the connection
+ * @param {RPC_HANDSHAKE} [handshake] its hello is sent as the first frame, unencrypted
  * @returns {TransformStream<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>}
  */
-export function createEncodeStream(key_iv) {
-    let key = null
-    let iv = null
+export function createEncodeStream(rpcKey, role, handshake) {
+    /** @type{RPC_FRAME_SEALER} */
+    let sealer = null
     return new TransformStream({
-        async start() {
-            [key, iv] = await key_iv
+        async start(controller) {
+            if (handshake) {
+                controller.enqueue(await buildBufferData([await handshake.hello()], null))
+            }
+            sealer = await createRpcFrameSealer(await rpcKey, role)
         },
         async transform(chunk, controller) {
-            let buffer = await buildBufferData([chunk], key, iv)
+            let buffer = await buildBufferData([chunk], sealer)
             controller.enqueue(buffer)
         }
     })
 }
 
 /**
- * @param {Promise<[CryptoKey,Uint8Array<ArrayBuffer>]>} key_iv
+ * @param {Promise<CryptoKey>} rpcKey see `buildRpcKey`, or `handshake.key`
+ * @param {RPC_ROLE} role this side of the connection
+ * @param {RPC_FRAME_SENDERS} [senders] replay state, shared when the frames of one sender can
+ * arrive on several streams, like the requests of a HTTP client
+ * @param {RPC_HANDSHAKE} [handshake] the first frame is the hello of the other side
  * @returns {TransformStream<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>}
  */
-export function createDecodeStream(key_iv) {
-    let key = null
-    let iv = null
+export function createDecodeStream(rpcKey, role, senders, handshake) {
+    /** @type{Promise<RPC_FRAME_OPENER>} */
+    let opener = null
     let last = new Uint8Array(0)
     return new TransformStream({
-        async start() {
-            [key, iv] = await key_iv
-        },
         async transform(chunk, controller) {
-            let [queueReceive, remain] = await parseBufferData(Uint8Array_concat([last, chunk]), key, iv)
+            let [queueReceive, remain] = await parseBufferData(Uint8Array_concat([last, chunk]), null)
             last = remain
             for (const o of queueReceive) {
-                controller.enqueue(o)
+                if (handshake && !opener) {
+                    await handshake.receive(o)
+                    opener = rpcKey.then((key) => createRpcFrameOpener(key, role, senders))
+                    continue
+                }
+                opener = opener || rpcKey.then((key) => createRpcFrameOpener(key, role, senders))
+                let frameOpener = await opener
+                let buffer = frameOpener ? await frameOpener.open(o) : o
+                if (buffer) {
+                    controller.enqueue(buffer)
+                } else {
+                    console.error('data replay dropped!', o.length)
+                }
             }
         }
     })
@@ -67,17 +92,16 @@ const HEADER_CHECK = 0xb1f7705f
 
 /**
  * @param {Uint8Array<ArrayBuffer>[]} queue
- * @param {CryptoKey} key
- * @param {Uint8Array<ArrayBuffer>} iv
+ * @param {RPC_FRAME_SEALER} sealer null to send the data as it is
  * @returns {Promise<Uint8Array<ArrayBuffer>>}
  */
-export async function buildBufferData(queue, key, iv) {
+export async function buildBufferData(queue, sealer) {
     let buffers = []
     for (const data of queue) {
         let offset = 0
         let header = new Uint8Array(8)
         let headerCheck = HEADER_CHECK
-        let buffer = await encrypt(data, key, iv)
+        let buffer = sealer ? await sealer.seal(data) : data
         writeUInt32LE(header, buffer.length, offset); offset += 4
         writeUInt32LE(header, headerCheck, offset); offset += 4
         buffers.push(header, buffer)
@@ -87,11 +111,10 @@ export async function buildBufferData(queue, key, iv) {
 
 /**
  * @param {Uint8Array<ArrayBuffer>} buffer
- * @param {CryptoKey} key
- * @param {Uint8Array<ArrayBuffer>} iv
+ * @param {RPC_FRAME_OPENER} opener null to return the data as it is
  * @returns {Promise<[Uint8Array<ArrayBuffer>[],Uint8Array<ArrayBuffer>]>}
  */
-export async function parseBufferData(buffer, key, iv) {
+export async function parseBufferData(buffer, opener) {
     /** @type{Uint8Array<ArrayBuffer>[]} */
     let queue = []
     let offset = 0
@@ -114,8 +137,16 @@ export async function parseBufferData(buffer, key, iv) {
             break
         }
         let data = buffer.subarray(offset, offset + bufferLength); offset += bufferLength
-        let buf = await decrypt(data, key, iv)
-        queue.push(buf)
+        if (!opener) {
+            queue.push(data)
+            continue
+        }
+        let buf = await opener.open(data)
+        if (buf) {
+            queue.push(buf)
+        } else {
+            console.error('data replay dropped!', bufferLength)
+        }
     }
     return [queue, remain]
 }
@@ -124,10 +155,10 @@ export function processPackets() {
     let last = new Uint8Array(0)
     return new TransformStream({
         async transform(chunk, controller) {
-            let [queueReceive, remain] = await parseBufferData(Uint8Array_concat([last, chunk]), null, null)
+            let [queueReceive, remain] = await parseBufferData(Uint8Array_concat([last, chunk]), null)
             last = remain
             if (queueReceive.length > 0) {
-                let buffer = await buildBufferData(queueReceive, null, null)
+                let buffer = await buildBufferData(queueReceive, null)
                 controller.enqueue(buffer)
             }
         }
@@ -256,41 +287,304 @@ export function guid() {
 }
 
 /**
- * 
- * @param {string} password 
- * @param {number} iterations 
- * @returns {Promise<[CryptoKey,Uint8Array<ArrayBuffer>]>}
+ * Derives the key shared by both sides from the password, every stream derives its own frame key
+ * from it with a random salt, see `createRpcFrameSealer`.
+ * @param {string} password
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>} null without a password
+ */
+export async function buildRpcKey(password, iterations) {
+    const bits = await buildRpcKeyBits(password, iterations)
+    if (!bits) return null
+    return await crypto.subtle.importKey("raw", bits, "HKDF", false, ["deriveKey"])
+}
+
+/**
+ * The AES-GCM key and the fixed IV the frames were encrypted with before 3.0.0, for code that
+ * encrypts with them itself, see `encrypt` and `decrypt`.
+ * @deprecated the frames use per-stream keys derived from `buildRpcKey` now
+ * @param {string} password
+ * @param {number} iterations
+ * @returns {Promise<[CryptoKey,Uint8Array<ArrayBuffer>]>} nulls without a password
  */
 export async function buildKeyIv(password, iterations) {
-    if (!JS_RPC_WITH_CRYPTO) return [null, null]
-    if (!password) return [null, null]
+    const bits = await buildRpcKeyBits(password, iterations)
+    if (!bits) return [null, null]
+    const key = await crypto.subtle.importKey("raw", bits, { name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"])
+    return [key, new Uint8Array(bits)]
+}
+
+/**
+ * @param {string} password
+ * @param {number} iterations
+ * @returns {Promise<ArrayBuffer>} null without a password
+ */
+async function buildRpcKeyBits(password, iterations) {
+    if (!JS_RPC_WITH_CRYPTO) return null
+    if (!password) return null
     const keyMaterial = await crypto.subtle.importKey(
         "raw",
         new TextEncoder().encode(password),
         "PBKDF2",
         false,
-        ["deriveBits", "deriveKey"],
+        ["deriveBits"],
     )
     const salt = await crypto.subtle.digest("SHA-512", new TextEncoder().encode(password))
-    const pbkdf2Params = {
-        name: "PBKDF2",
-        salt,
-        iterations: iterations,
-        hash: "SHA-256",
-    }
-    const key = await crypto.subtle.deriveKey(
-        pbkdf2Params,
+    return await crypto.subtle.deriveBits(
+        { name: "PBKDF2", salt, iterations: iterations, hash: "SHA-256", },
         keyMaterial,
+        256,
+    )
+}
+
+/** 
+ * @typedef {{
+ * serverKey?: CryptoKey;
+ * }} RPC_HANDSHAKE_OPTIONS `serverKey` is an ECDSA P-256 key, the private key on the server and
+ * its public key on clients, see `generateRpcServerKey`
+ * 
+ * @typedef {{
+ * hello: () => Promise<Uint8Array<ArrayBuffer>>;
+ * receive: (hello:Uint8Array<ArrayBuffer>) => Promise<void>;
+ * key: Promise<CryptoKey>;
+ * }} RPC_HANDSHAKE
+ */
+
+/**
+ * The signing key a server proves its identity with in the handshake. Give the public key to
+ * clients, e.g. as `await crypto.subtle.exportKey('jwk', publicKey)`.
+ * @returns {Promise<CryptoKeyPair>}
+ */
+export async function generateRpcServerKey() {
+    return await crypto.subtle.generateKey({ name: "ECDSA", namedCurve: "P-256" }, true, ["sign", "verify"])
+}
+
+/**
+ * Key exchange with ephemeral ECDH P-256 keys, so every connection has its own key and recorded
+ * traffic stays secret when `rpcKey` leaks later. The client sends its hello first, the server
+ * answers with its own, signed with `serverKey` when there is one. The resulting `key` mixes in
+ * `rpcKey`, so both sides have to know it as well.
+ * @param {string} rpcKey
+ * @param {RPC_ROLE} role
+ * @param {RPC_HANDSHAKE_OPTIONS} options
+ * @returns {RPC_HANDSHAKE}
+ */
+export function createRpcHandshake(rpcKey, role, options) {
+    if (!rpcKey && !options.serverKey) {
+        throw new Error('rpc handshake needs a rpcKey or a serverKey to authenticate the server')
+    }
+    const ecdh = { name: "ECDH", namedCurve: "P-256" }
+    const ecdsa = { name: "ECDSA", hash: "SHA-256" }
+    /** @type{Promise<CryptoKeyPair>} */
+    const keyPair = /** @type{any} */(crypto.subtle.generateKey(ecdh, false, ["deriveBits"]))
+    const publicKey = keyPair.then(async (o) => new Uint8Array(await crypto.subtle.exportKey("raw", o.publicKey)))
+    /** @type{{promise:Promise<{publicKey:Uint8Array<ArrayBuffer>;signature?:Uint8Array<ArrayBuffer>;}>;resolve:(value:object)=>void;reject:(error:any)=>void;}} */
+    const peerHello = Promise_withResolvers()
+    const transcript = (async () => {
+        let [local, peer] = [await publicKey, (await peerHello.promise).publicKey]
+        return Uint8Array_concat(role == 'client' ? [local, peer] : [peer, local])
+    })()
+    transcript.catch(() => { })
+    const key = (async () => {
+        let hello = await peerHello.promise
+        if (role == 'client' && options.serverKey) {
+            if (!hello.signature || !await crypto.subtle.verify(ecdsa, options.serverKey, hello.signature, await transcript)) {
+                throw new Error('rpc handshake: the server signature does not match serverKey')
+            }
+        }
+        let peer = await crypto.subtle.importKey("raw", hello.publicKey, ecdh, false, [])
+        let shared = await crypto.subtle.deriveBits({ name: "ECDH", public: peer }, (await keyPair).privateKey, 256)
+        let salt = await buildRpcKeyBits(rpcKey, 10) || new ArrayBuffer(0)
+        let info = Uint8Array_concat([new TextEncoder().encode('js-rpc2 handshake'), await transcript])
+        let material = await crypto.subtle.importKey("raw", shared, "HKDF", false, ["deriveBits"])
+        let bits = await crypto.subtle.deriveBits({ name: "HKDF", hash: "SHA-256", salt, info }, material, 256)
+        return await crypto.subtle.importKey("raw", bits, "HKDF", false, ["deriveKey"])
+    })()
+    key.catch(() => { })
+    return {
+        key,
+        async hello() {
+            /** @type{{publicKey:Uint8Array<ArrayBuffer>;signature?:Uint8Array<ArrayBuffer>;}} */
+            let hello = { publicKey: await publicKey }
+            if (role == 'server' && options.serverKey) {
+                hello.signature = new Uint8Array(await crypto.subtle.sign(ecdsa, options.serverKey, await transcript))
+            }
+            return Uint8Array.from(packr.pack(hello))
+        },
+        async receive(buffer) {
+            try {
+                peerHello.resolve(packr.unpack(buffer))
+            } catch (error) {
+                peerHello.reject(error)
+            }
+            await key
+        },
+    }
+}
+
+/**
+ * The handshake a connection of a WebSocket or `node:net` transport runs. With a `rpcKey` there
+ * always is one, authenticated by `rpcKey` alone without `handshake`, so every connection starts
+ * with a new key and frames recorded on one connection can not be replayed on another.
+ * @param {string} rpcKey
+ * @param {RPC_HANDSHAKE_OPTIONS} [handshake]
+ * @returns {RPC_HANDSHAKE_OPTIONS} null without `rpcKey` and `handshake`
+ */
+export function getRpcConnectionHandshake(rpcKey, handshake) {
+    return handshake ?? (rpcKey ? {} : null)
+}
+
+/**
+ * Encrypts one connection of a helper created with an empty `rpcKey`, with the key of a handshake
+ * of its own, so a client that reconnects runs a new handshake on every connection. Pipe the
+ * helper's readable through `encode` to the connection, and the connection through `decode` to
+ * the helper's writable.
+ * @param {string} rpcKey
+ * @param {RPC_ROLE} role
+ * @param {RPC_HANDSHAKE_OPTIONS} options
+ */
+export function createRpcHandshakeStreams(rpcKey, role, options) {
+    const handshake = createRpcHandshake(rpcKey, role, options)
+    const plain = Promise.resolve(null)
+    const split = createDecodeStream(plain, role)
+    const decode = createDecodeStream(handshake.key, role, undefined, handshake)
+    return {
+        encode: {
+            writable: split.writable,
+            readable: split.readable.pipeThrough(createEncodeStream(handshake.key, role, handshake)),
+        },
+        decode: {
+            writable: decode.writable,
+            readable: decode.readable.pipeThrough(createEncodeStream(plain, role)),
+        },
+    }
+}
+
+/**
+ * The frame streams of one connection of a helper created with an empty `rpcKey`, like
+ * `createRpcHandshakeStreams` without the key exchange: the frames are encrypted with `rpcKey`
+ * alone, and a frame cut off when a connection ends never reaches the next one.
+ * @param {string} rpcKey
+ * @param {RPC_ROLE} role
+ */
+export function createRpcFrameStreams(rpcKey, role) {
+    const key = buildRpcKey(rpcKey, 10)
+    const plain = Promise.resolve(null)
+    const split = createDecodeStream(plain, role)
+    const decode = createDecodeStream(key, role)
+    return {
+        encode: {
+            writable: split.writable,
+            readable: split.readable.pipeThrough(createEncodeStream(key, role)),
+        },
+        decode: {
+            writable: decode.writable,
+            readable: decode.readable.pipeThrough(createEncodeStream(plain, role)),
+        },
+    }
+}
+
+const RPC_FRAME_SALT_LENGTH = 16
+const RPC_FRAME_HEADER_LENGTH = RPC_FRAME_SALT_LENGTH + 8
+/** sequence numbers this far behind the newest one of a sender are dropped as replays */
+const RPC_REPLAY_WINDOW = 1024
+/** senders whose replay state is kept, the least recently seen is forgotten first */
+const RPC_REPLAY_SENDERS = 4096
+
+/**
+ * @param {CryptoKey} rpcKey
+ * @param {Uint8Array<ArrayBuffer>} salt
+ * @param {RPC_ROLE} role the side that encrypts with the key, so each direction has its own key
+ */
+function deriveRpcFrameKey(rpcKey, salt, role) {
+    return crypto.subtle.deriveKey(
+        { name: "HKDF", hash: "SHA-256", salt, info: new TextEncoder().encode(`js-rpc2 ${role}`) },
+        rpcKey,
         { name: "AES-GCM", length: 256 },
-        true,
+        false,
         ["encrypt", "decrypt"],
     )
-    const iv = await crypto.subtle.deriveBits(
-        pbkdf2Params,
-        keyMaterial,
-        256,
-    )
-    return [key, new Uint8Array(iv)]
+}
+
+/**
+ * @param {number} seq
+ */
+function buildRpcFrameNonce(seq) {
+    let nonce = new Uint8Array(12)
+    let view = new DataView(nonce.buffer)
+    view.setUint32(4, Math.floor(seq / 0x100000000))
+    view.setUint32(8, seq >>> 0)
+    return nonce
+}
+
+/**
+ * Encrypts the frames of one stream with a key derived from a random salt, and a sequence number
+ * as the nonce of every frame. The payload of a frame is `salt(16) | seq(8) | ciphertext`.
+ * @param {CryptoKey} rpcKey
+ * @param {RPC_ROLE} role
+ * @returns {Promise<RPC_FRAME_SEALER>} null without a key
+ */
+async function createRpcFrameSealer(rpcKey, role) {
+    if (!rpcKey) return null
+    const salt = crypto.getRandomValues(new Uint8Array(RPC_FRAME_SALT_LENGTH))
+    const key = await deriveRpcFrameKey(rpcKey, salt, role)
+    let seq = 0
+    return {
+        async seal(data) {
+            let header = new Uint8Array(RPC_FRAME_HEADER_LENGTH)
+            header.set(salt)
+            let nonce = buildRpcFrameNonce(seq++)
+            header.set(nonce.subarray(4), RPC_FRAME_SALT_LENGTH)
+            let buffer = await encrypt(data, key, nonce)
+            return Uint8Array_concat([header, buffer])
+        }
+    }
+}
+
+/**
+ * Decrypts the frames of `createRpcFrameSealer` of the other side. Returns null for frames whose
+ * sequence number was seen before or is older than the replay window of their sender.
+ * @param {CryptoKey} rpcKey
+ * @param {RPC_ROLE} role this side
+ * @param {RPC_FRAME_SENDERS} [senders]
+ * @returns {RPC_FRAME_OPENER} null without a key
+ */
+function createRpcFrameOpener(rpcKey, role, senders = new Map()) {
+    if (!rpcKey) return null
+    const peerRole = role == 'client' ? 'server' : 'client'
+    return {
+        async open(data) {
+            if (data.length < RPC_FRAME_HEADER_LENGTH) {
+                throw new Error('rpc frame too short')
+            }
+            let salt = data.slice(0, RPC_FRAME_SALT_LENGTH)
+            let view = new DataView(data.buffer, data.byteOffset + RPC_FRAME_SALT_LENGTH, 8)
+            let seq = view.getUint32(0) * 0x100000000 + view.getUint32(4)
+            let id = Uint8Array_toString(salt, 'hex')
+            let sender = senders.get(id) || { key: deriveRpcFrameKey(rpcKey, salt, peerRole), max: -1, seen: new Set() }
+            let buffer = await decrypt(data.subarray(RPC_FRAME_HEADER_LENGTH), await sender.key, buildRpcFrameNonce(seq))
+            senders.delete(id)
+            senders.set(id, sender)
+            if (senders.size > RPC_REPLAY_SENDERS) {
+                senders.delete(senders.keys().next().value)
+            }
+            if (seq <= sender.max - RPC_REPLAY_WINDOW || sender.seen.has(seq)) {
+                return null
+            }
+            sender.seen.add(seq)
+            if (seq > sender.max) {
+                sender.max = seq
+            }
+            if (sender.seen.size > 2 * RPC_REPLAY_WINDOW) {
+                for (const o of sender.seen) {
+                    if (o <= sender.max - RPC_REPLAY_WINDOW) {
+                        sender.seen.delete(o)
+                    }
+                }
+            }
+            return buffer
+        }
+    }
 }
 
 /**
@@ -353,12 +647,29 @@ export const RPC_TYPE_CALL = 0xdf68f4cb
 export const RPC_TYPE_RETURN = 0x68b17581
 export const RPC_TYPE_CALLBACK = 0x8d65e5cc
 export const RPC_TYPE_ERROR = 0xa07c0f84
+export const RPC_TYPE_CANCEL = 0x3c9e52d7
+export const RPC_TYPE_STREAM = 0x5b3e0d92
+export const RPC_TYPE_STREAM_END = 0xc4a1e8f6
+export const RPC_TYPE_PULL = 0x7a9d2b15
+export const RPC_TYPE_ARG_STREAM = 0x1f6c8e3a
+export const RPC_TYPE_ARG_STREAM_END = 0x93d47b28
+export const RPC_TYPE_ARG_PULL = 0x4e85a1c7
+export const RPC_TYPE_ARG_CANCEL = 0xe27f3b64
 
 export const RPC_DATA_ARG_TYPE_OTHERS = 0xa7f68c
 export const RPC_DATA_ARG_TYPE_FUNCTION = 0x7ff45f
+export const RPC_DATA_ARG_TYPE_SIGNAL = 0x2b9d13
+export const RPC_DATA_ARG_TYPE_STREAM = 0x6c3ea1
+
+/** `code` of the error returned for a method that does not exist or is not exposed */
+export const RPC_ERROR_CODE_METHOD_NOT_FOUND = 'RPC_METHOD_NOT_FOUND'
+/** `code` of the `RpcValidationError` returned for arguments that do not match the schemas of the method */
+export const RPC_ERROR_CODE_INVALID_ARGUMENTS = 'RPC_INVALID_ARGUMENTS'
+/** `code` of the `RpcValidationError` returned for a result that does not match the schema of the method */
+export const RPC_ERROR_CODE_INVALID_RESULT = 'RPC_INVALID_RESULT'
 
 /**
- * @typedef {RPC_DATA_ARG_TYPE_OTHERS|RPC_DATA_ARG_TYPE_FUNCTION} RPC_DATA_ARG_TYPE
+ * @typedef {RPC_DATA_ARG_TYPE_OTHERS|RPC_DATA_ARG_TYPE_FUNCTION|RPC_DATA_ARG_TYPE_SIGNAL|RPC_DATA_ARG_TYPE_STREAM} RPC_DATA_ARG_TYPE
  */
 
 /**
@@ -370,6 +681,9 @@ export function buildRpcData(box) {
     if (type == RPC_TYPE_CALL || type == RPC_TYPE_CALLBACK) {
         data = data.map(({ type, data }) => [type, data])
     }
+    if ('header' in box && box.header) {
+        return Uint8Array.from(packr.pack([box.id, type, data, box.header]))
+    }
     return Uint8Array.from(packr.pack([box.id, type, data]))
 }
 
@@ -377,12 +691,12 @@ export function buildRpcData(box) {
  * @param {Uint8Array<ArrayBuffer>} buffer
  */
 export function parseRpcData(buffer) {
-    let [id, type, data] = packr.unpack(buffer)
+    let [id, type, data, header] = packr.unpack(buffer)
     if (type == RPC_TYPE_CALL || type == RPC_TYPE_CALLBACK) {
         data = data.map(([type, data]) => ({ type, data }))
     }
     /** @type{RPC_DATA} */
-    return { id, type, data }
+    return { id, type, data, header }
 }
 
 /**
@@ -398,6 +712,12 @@ export function buildRpcItemData(items) {
         if (typeof item == 'function') {
             type = RPC_DATA_ARG_TYPE_FUNCTION
             data = item()
+        } else if (item instanceof AbortSignal) {
+            type = RPC_DATA_ARG_TYPE_SIGNAL
+            data = null
+        } else if (item instanceof RpcStreamArgument) {
+            type = RPC_DATA_ARG_TYPE_STREAM
+            data = item.key
         } else {
             type = RPC_DATA_ARG_TYPE_OTHERS
             data = item
@@ -408,210 +728,1798 @@ export function buildRpcItemData(items) {
 }
 
 /**
+ * Runs `callback` inside `extension.asyncLocalStorage` when there is one, with the call context
+ * exposed as `asyncLocalStorage.getStore().rpc` next to the transport's own store.
+ * @template T
  * @param {object} extension
- * @param {WritableStreamDefaultWriter<Uint8Array<ArrayBuffer>>} writer
- * @param {Uint8Array<ArrayBuffer>} buffer
- * @param {(msg:string)=>void} logger
+ * @param {RPC_CALL_CONTEXT} context
+ * @param {() => T} callback
+ * @returns {T}
  */
-export async function rpcRunServerDecodeBuffer(extension, writer, buffer, logger) {
-    /** @type{RPC_DATA} */
-    let box = null
-    let dataId = 0
-    let fnName = null
-    let params = []
-    let time = Date.now()
-    try {
-        let o = parseRpcData(buffer)
-        dataId = o.id
-        let items = o.data
-        fnName = items.at(0).data
-        let args = items.slice(1)
-        for (let i = 0; i < args.length; i++) {
-            const p = args[i]
-            if (p.type == RPC_DATA_ARG_TYPE_FUNCTION) {
-                const callback = async (/** @type {any[]} */ ...args) => {
-                    /** @type{RPC_DATA} */
-                    let box = { id: p.data, type: RPC_TYPE_CALLBACK, data: buildRpcItemData(args), }
-                    try {
-                        await writer.write(buildRpcData(box))
-                    } catch (error) {
-                        throw new Error(`rpc callback writer.write()`, { cause: error })
-                    }
-                }
-                params.push(callback)
-            } else {
-                params.push(p.data)
+function runWithCallContext(extension, context, callback) {
+    /** @type{import('node:async_hooks').AsyncLocalStorage<object>} */
+    let asyncLocalStorage = extension?.asyncLocalStorage
+    if (!asyncLocalStorage) {
+        return callback()
+    }
+    let parent = asyncLocalStorage.getStore()
+    let store = Object.create(typeof parent == 'object' ? parent : null)
+    store.rpc = context
+    return asyncLocalStorage.run(store, callback)
+}
+
+/**
+ * Runs `middleware` around `handler` like koa-compose: each one gets the context and a `next`
+ * that runs the rest of the chain. Unlike koa-compose `next` may be called more than once, so a
+ * middleware can retry.
+ * @template T
+ * @param {RPC_MIDDLEWARE<T>[]} middleware
+ * @param {(ctx:T) => Promise<void>} handler
+ * @returns {(ctx:T) => Promise<void>}
+ */
+export function composeRpcMiddleware(middleware, handler) {
+    const list = middleware || []
+    return (ctx) => {
+        const dispatch = async (/** @type {number} */ i) => {
+            if (i == list.length) {
+                return await handler(ctx)
             }
+            await list[i](ctx, () => dispatch(i + 1))
         }
-        let ret = await extension[fnName](...params)
-        box = { id: o.id, type: RPC_TYPE_RETURN, data: ret, }
-    } catch (error) {
-        console.error('rpcRunServerDecodeBuffer', fnName, params.map(o => {
-            if (typeof o == 'function') { return 'function' }
-            return o
-        }), error)
-        box = {
-            id: dataId,
-            type: RPC_TYPE_ERROR,
-            data: { message: error.message, stack: error.stack },
-        }
+        return dispatch(0)
     }
-    if (logger) {
-        logger(`time: ${Date.now() - time}ms ${fnName}(${params.map(o => {
-            if (typeof o == 'function') { return `Function()` }
-            if (o instanceof Uint8Array) { return `Uint8Array(${o.length})` }
-            return o
-        }).join(', ')})`)
+}
+
+/**
+ * @param {RPC_SPAN_CONTEXT} context
+ * @returns {RPC_METADATA} the `traceparent` and `tracestate` of the W3C trace context
+ */
+function buildTraceMetadata(context) {
+    /** @type{RPC_METADATA} */
+    let metadata = {
+        traceparent: `00-${context.traceId}-${context.spanId}-${(context.traceFlags & 0xff).toString(16).padStart(2, '0')}`,
+    }
+    let traceState = typeof context.traceState == 'string' ? context.traceState : context.traceState?.serialize()
+    if (traceState) {
+        metadata.tracestate = traceState
     }
-    await writer.write(buildRpcData(box))
+    return metadata
 }
 
 /**
- * @param {(fnName:string,args:object[])=>Promise<object>} apiInvoke
+ * @param {RPC_METADATA} metadata
+ * @returns {RPC_SPAN_CONTEXT} null without a valid `traceparent`
  */
-export function createRPCProxy(apiInvoke) {
-    const map = new Map()
-    const proxy = new Proxy(Object(), {
-        get(_target, p) {
-            let proxy = map.get(p)
-            if (proxy) {
-                return proxy
-            }
-            proxy = new Proxy(Function, {
-                async apply(_target, _thisArg, argArray) {
-                    try {
-                        return await apiInvoke(String(p), argArray)
-                    } catch (error) {
-                        throw new RPCError(error.message, null, { cause: error })
-                    }
-                }
-            })
-            map.set(p, proxy)
-            return proxy
+function parseTraceMetadata(metadata) {
+    let match = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/.exec(metadata.traceparent ?? '')
+    if (!match || match[1] == 'ff' || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+        return null
+    }
+    return {
+        traceId: match[2], spanId: match[3], traceFlags: parseInt(match[4], 16),
+        traceState: typeof metadata.tracestate == 'string' ? metadata.tracestate : undefined, isRemote: true,
+    }
+}
+
+/**
+ * @param {RPC_SPAN} span
+ * @param {any} error
+ */
+function failSpan(span, error) {
+    span.recordException?.(error)
+    span.setStatus?.({ code: 2, message: error?.message })
+}
+
+/**
+ * A client span around every call, its trace context is sent as `traceparent` and `tracestate`
+ * in the call metadata.
+ * @param {RPC_TRACER} tracer
+ * @returns {RPC_MIDDLEWARE<RPC_INVOKE_CONTEXT>}
+ */
+function createClientTracingMiddleware(tracer) {
+    return async (ctx, next) => {
+        let span = tracer.startSpan(ctx.method, { kind: 'client', attributes: { 'rpc.system': 'js-rpc2', 'rpc.method': ctx.method } })
+        Object.assign(ctx.metadata, buildTraceMetadata(span.spanContext()))
+        try {
+            await next()
+        } catch (error) {
+            failSpan(span, error)
+            throw error
+        } finally {
+            span.end()
         }
-    })
-    return proxy
+    }
 }
 
-/** 
+/**
+ * A server span around every method, the child of the caller's span when the call has one.
+ * @param {RPC_TRACER} tracer
+ * @returns {RPC_MIDDLEWARE<RPC_CALL_CONTEXT>}
+ */
+function createServerTracingMiddleware(tracer) {
+    return async (ctx, next) => {
+        let span = tracer.startSpan(ctx.method, {
+            kind: 'server', parent: parseTraceMetadata(ctx.metadata), attributes: { 'rpc.system': 'js-rpc2', 'rpc.method': ctx.method },
+        })
+        try {
+            await (tracer.withSpan ? tracer.withSpan(span, next) : next())
+        } catch (error) {
+            failSpan(span, error)
+            throw error
+        } finally {
+            span.end()
+        }
+    }
+}
+
+/**
  * @typedef {{
- * writable: WritableStream<Uint8Array<ArrayBuffer>>;
- * readable: ReadableStream<Uint8Array<ArrayBuffer>>;
- * }} RPC_HELPER_SERVER
+ * name: string;
+ * kind: 'client'|'server';
+ * traceId: string;
+ * spanId: string;
+ * parentSpanId?: string;
+ * attributes: Record<string,any>;
+ * status?: {code:number;message?:string;};
+ * exceptions: any[];
+ * startTime: number;
+ * endTime?: number;
+ * }} RPC_RECORDED_SPAN
  */
 
 /**
- * @param {{ 
- * rpcKey: string; 
- * extension: object;
- * logger?: (msg:string)=>void; 
- * async?: boolean; 
- * }} param
+ * A tracer that keeps the ended spans in `spans`, for tests and debugging.
+ * @returns {RPC_TRACER & { spans: RPC_RECORDED_SPAN[] }}
  */
-export function createRpcServerHelper(param) {
-    let rpc_key_iv = buildKeyIv(param.rpcKey, 10)
-    const encode = createEncodeStream(rpc_key_iv)
-    const decode = createDecodeStream(rpc_key_iv)
-    let writer = encode.writable.getWriter()
-    decode.readable.pipeTo(new WritableStream({
-        async write(buffer) {
-            if (param.async) {
-                rpcRunServerDecodeBuffer(param.extension, writer, buffer, param.logger).catch(console.error)
-            } else {
-                await rpcRunServerDecodeBuffer(param.extension, writer, buffer, param.logger)
+export function createRpcMemoryTracer() {
+    /** @type{RPC_RECORDED_SPAN[]} */
+    const spans = []
+    const randomId = (/** @type {number} */ bytes) => Uint8Array_toString(crypto.getRandomValues(new Uint8Array(bytes)), 'hex')
+    return {
+        spans,
+        startSpan(name, options) {
+            /** @type{RPC_RECORDED_SPAN} */
+            const record = {
+                name, kind: options.kind, traceId: options.parent?.traceId ?? randomId(16), spanId: randomId(8),
+                parentSpanId: options.parent?.spanId, attributes: { ...options.attributes }, exceptions: [], startTime: Date.now(),
+            }
+            const traceState = options.parent?.traceState
+            return {
+                spanContext: () => ({ traceId: record.traceId, spanId: record.spanId, traceFlags: 1, traceState }),
+                setAttribute(key, value) {
+                    record.attributes[key] = value
+                },
+                recordException(error) {
+                    record.exceptions.push(error)
+                },
+                setStatus(status) {
+                    record.status = status
+                },
+                end() {
+                    record.endTime = Date.now()
+                    spans.push(record)
+                },
             }
         },
-        async close() {
-            await writer.close()
-        }
-    })).catch(console.error)
+    }
+}
 
-    /** @type{RPC_HELPER_SERVER} */
-    let ret = { writable: decode.writable, readable: encode.readable }
-    return ret
+/**
+ * Adapts a tracer of OpenTelemetry, pass the `@opentelemetry/api` module. Client spans are
+ * children of the active span, and the extension methods run with their server span active.
+ * @param {any} api `import * as api from '@opentelemetry/api'`
+ * @param {any} [tracer] defaults to `api.trace.getTracer('js-rpc2')`
+ * @returns {RPC_TRACER}
+ */
+export function createRpcOpenTelemetryTracer(api, tracer = api.trace.getTracer('js-rpc2')) {
+    return {
+        startSpan(name, options) {
+            let context = api.context.active()
+            if (options.parent) {
+                let parent = options.parent
+                // a TraceState of OpenTelemetry is kept, the serialized one from the metadata is parsed
+                if (typeof parent.traceState == 'string') {
+                    parent = { ...parent, traceState: api.createTraceState(parent.traceState) }
+                }
+                context = api.trace.setSpanContext(context, parent)
+            }
+            let kind = options.kind == 'client' ? api.SpanKind.CLIENT : api.SpanKind.SERVER
+            return tracer.startSpan(name, { kind, attributes: options.attributes }, context)
+        },
+        withSpan(span, callback) {
+            return api.context.with(api.trace.setSpan(api.context.active(), span), callback)
+        },
+    }
 }
 
 /** 
  * @typedef {{
- * writable: WritableStream<Uint8Array<ArrayBuffer>>;
- * readable: ReadableStream<Uint8Array<ArrayBuffer>>;
- * apiInvoke: (fnName: string, args: object[]) => Promise<object>;
- * reject: (error:object)=>void;
- * }} RPC_HELPER_CLIENT
+ * abortControllers: Map<number,AbortController>;
+ * streams: Map<number,{pull:(count:number)=>void}>;
+ * argumentStreams: Map<number,RPC_REMOTE_STREAM>;
+ * }} RPC_SERVER_SESSION
  */
 
-class RPCError extends Error {
-    /**
-     * @param {string} message
-     * @param {string} stack
-     * @param {ErrorOptions} [option]
-     */
-    constructor(message, stack, option) {
-        super(message, option)
-        if (stack) {
-            this.stack = stack
+/** 
+ * @typedef {{
+ * extension?: object;
+ * logger?: (msg:string)=>void; 
+ * allowMethods?: string[];
+ * denyMethods?: string[];
+ * stripErrorStack?: boolean;
+ * errorClasses?: (new (...args:any[]) => Error)[];
+ * middleware?: RPC_MIDDLEWARE<RPC_CALL_CONTEXT>[];
+ * services?: Map<string,object>;
+ * schemas?: Record<string,RPC_METHOD_SCHEMA>;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
+ * }} RPC_SERVER_OPTIONS `middleware` runs around the methods of `extension`, it can change
+ * `ctx.method` and `ctx.args` before calling `next`, and `ctx.result` or the error after it.
+ * `tracer` starts a server span around every method, outside of `middleware`. `onEvent` receives
+ * a `call-start` and a `call-end` event for every call. `services` are named services whose
+ * methods are called as `name.method`, they are found before the properties of `extension` and
+ * can be added and removed while connections are open. `schemas` validate the arguments and the
+ * results of the methods named by their keys, see `rpcSchema`. The methods and their schemas are
+ * listed by calling `RPC_METHOD_DESCRIBE`, unless `allowMethods` or `denyMethods` exclude it.
+ * Without `extension`, as on most clients, only `services` and `RPC_METHOD_DESCRIBE` are found
+ */
+
+/** properties injected into extensions by the transports, never callable */
+const RPC_RESERVED_PROPERTIES = ['asyncLocalStorage', 'messageSender']
+
+/** the methods of built-in objects are never callable, e.g. `push` of an array in the extension */
+const RPC_BUILTIN_PROTOTYPES = new Set([
+    Object.prototype, Function.prototype, Array.prototype, Map.prototype, Set.prototype, WeakMap.prototype,
+    WeakSet.prototype, Promise.prototype, Date.prototype, RegExp.prototype, Error.prototype, ArrayBuffer.prototype,
+    Object.getPrototypeOf(Uint8Array.prototype),
+])
+
+/** the reserved method answering with the `RPC_DESCRIPTION` of the methods a caller may invoke */
+export const RPC_METHOD_DESCRIBE = '$describe'
+
+/**
+ * Finds the method a remote caller may invoke: an own or class method of `extension`,
+ * never `constructor`, anything inherited from `Object.prototype` or an injected property,
+ * and only if it passes `allowMethods`/`denyMethods`.
+ * @param {RPC_SERVER_OPTIONS} param
+ * @param {string} fnName
+ * @returns {Function}
+ */
+export function getRpcMethod(param, fnName) {
+    return findRpcMethod(param, fnName)?.method ?? null
+}
+
+/**
+ * A dotted `fnName` like `users.get` walks nested plain objects, `Map`s or the services registry with
+ * the same rules at every level. An entry of `allowMethods`/`denyMethods` also matches the methods below it, e.g.
+ * `admin` matches `admin.reset`.
+ * @param {RPC_SERVER_OPTIONS} param
+ * @param {string} fnName
+ * @returns {{target:object;method:Function;}} `target` is the object the method is called on
+ */
+function findRpcMethod(param, fnName) {
+    if (typeof fnName != 'string') {
+        return null
+    }
+    const matches = (/** @type {string[]} */ names) => names.some((name) => fnName == name || fnName.startsWith(name + '.'))
+    if (param.allowMethods && !matches(param.allowMethods)) {
+        return null
+    }
+    if (param.denyMethods && matches(param.denyMethods)) {
+        return null
+    }
+    if (fnName == RPC_METHOD_DESCRIBE) {
+        return { target: null, method: () => describeRpcMethods(param) }
+    }
+    let names = fnName.split('.')
+    let target = param.extension
+    for (let i = 0; i < names.length; i++) {
+        let registered = i == 0 && param.services?.has(names[0])
+        let value = registered ? param.services.get(names[0]) : getRpcProperty(target, names[i])
+        if (i == names.length - 1) {
+            return typeof value == 'function' ? { target, method: value } : null
         }
+        if (registered ? typeof value != 'object' || value === null : !isRpcNamespace(value)) {
+            return null
+        }
+        target = value
     }
+    return null
 }
 
 /**
- * @param {{ rpcKey: string; }} param
+ * Dotted names only walk into plain objects and `Map`s, never into class instances, so the fields of
+ * a service like `this.db` stay out of reach. A class instance is exposed by registering it in `services`.
+ * @param {any} value
  */
-export function createRpcClientHelper(param) {
+function isRpcNamespace(value) {
+    if (value instanceof Map) {
+        return true
+    }
+    if (typeof value != 'object' || value === null) {
+        return false
+    }
+    let prototype = Object.getPrototypeOf(value)
+    return prototype === Object.prototype || prototype === null
+}
+
+/**
+ * @param {object} target
+ * @param {string} name
+ */
+function getRpcProperty(target, name) {
+    if (name == 'constructor' || name == '__proto__' || RPC_RESERVED_PROPERTIES.includes(name)) {
+        return undefined
+    }
+    if (target instanceof Map) {
+        return target.get(name)
+    }
+    for (let o = target; o && !RPC_BUILTIN_PROTOTYPES.has(o); o = Object.getPrototypeOf(o)) {
+        let descriptor = Object.getOwnPropertyDescriptor(o, name)
+        if (descriptor) {
+            return descriptor.value
+        }
+    }
+    return undefined
+}
+
+/**
+ * The names `getRpcProperty` may find on `target`.
+ * @param {object} target
+ * @returns {string[]}
+ */
+function listRpcProperties(target) {
+    if (target instanceof Map) {
+        return [...target.keys()].filter((key) => typeof key == 'string')
+    }
+    /** @type{Set<string>} */
+    let names = new Set()
+    for (let o = target; o && !RPC_BUILTIN_PROTOTYPES.has(o); o = Object.getPrototypeOf(o)) {
+        for (const name of Object.getOwnPropertyNames(o)) {
+            names.add(name)
+        }
+    }
+    return [...names]
+}
+
+/**
+ * The methods a caller may invoke, with what their schemas declare, the answer of `RPC_METHOD_DESCRIBE`.
+ * @param {RPC_SERVER_OPTIONS} param
+ * @returns {RPC_DESCRIPTION}
+ */
+export function describeRpcMethods(param) {
+    /** @type{Set<string>} */
+    let names = new Set()
+    let seen = new Set()
+    /**
+     * @param {any} value
+     * @param {string} name
+     * @param {boolean} [registered] a service of the registry, which may be a class instance
+     */
+    const walk = (value, name, registered) => {
+        if (typeof value == 'function') {
+            names.add(name)
+        } else if ((registered ? typeof value == 'object' && value !== null : isRpcNamespace(value)) && !seen.has(value)) {
+            seen.add(value)
+            for (const key of listRpcProperties(value)) {
+                walk(getRpcProperty(value, key), `${name}.${key}`)
+            }
+        }
+    }
+    for (const [name, service] of param.services ?? []) {
+        walk(service, name, true)
+    }
+    seen.add(param.extension)
+    for (const key of listRpcProperties(param.extension ?? {})) {
+        if (!param.services?.has(key)) {
+            walk(getRpcProperty(param.extension, key), key)
+        }
+    }
+    let methods = [...names].filter((name) => findRpcMethod(param, name)).map((name) => {
+        let schema = param.schemas && Object.hasOwn(param.schemas, name) ? param.schemas[name] : null
+        let args = schema?.args?.map(describeRpcSchema)
+        return {
+            name,
+            length: findRpcMethod(param, name).method.length,
+            callbacks: (args ?? []).flatMap((o, i) => o['x-rpc-type'] == 'function' ? [i] : []),
+            args,
+            result: schema?.result ? describeRpcSchema(schema.result) : undefined,
+            description: schema?.description,
+        }
+    })
+    return { methods }
+}
+
+/**
+ * @param {RPC_SCHEMA} schema
+ * @returns {Record<string,any>} the JSON Schema of `rpcSchema` or of a Standard JSON Schema, `{}` without one
+ */
+function describeRpcSchema(schema) {
+    if (schema.jsonSchema) {
+        return schema.jsonSchema
+    }
+    try {
+        /** @type{any} */
+        let standard = schema['~standard']
+        return standard.jsonSchema?.input?.({ target: 'draft-2020-12' }) ?? {}
+    } catch {
+        return {}
+    }
+}
+
+/** checks of the schemas made by `rpcSchema`, so they nest without going through `~standard` */
+const rpcSchemaChecks = new WeakMap()
+
+/** schemas of `rpcSchema.optional`, left out of `required` of the object schemas */
+const rpcOptionalSchemas = new WeakSet()
+
+/**
+ * @param {object} jsonSchema describes the valid values, for introspection and declaration files
+ * @param {(value:any, path:PropertyKey[])=>RPC_SCHEMA_ISSUE[]} check returns no issues for a valid value
+ * @returns {RPC_SCHEMA & {jsonSchema:object}}
+ */
+function createRpcSchema(jsonSchema, check) {
+    let schema = {
+        jsonSchema: Object.fromEntries(Object.entries(jsonSchema).filter(([, value]) => value !== undefined)),
+        '~standard': {
+            version: /** @type{1} */(1),
+            vendor: 'js-rpc2',
+            /** @param {unknown} value */
+            validate(value) {
+                let issues = check(value, [])
+                return issues.length ? { issues } : { value }
+            },
+        },
+    }
+    rpcSchemaChecks.set(schema, check)
+    return schema
+}
+
+/**
+ * @param {RPC_SCHEMA} schema
+ * @param {any} value
+ * @param {PropertyKey[]} path
+ * @returns {RPC_SCHEMA_ISSUE[]}
+ */
+function checkRpcSchema(schema, value, path) {
+    let check = rpcSchemaChecks.get(schema)
+    if (!check) {
+        throw new TypeError('rpcSchema only nests schemas of rpcSchema')
+    }
+    return check(value, path)
+}
+
+/**
+ * A small validator whose schemas are Standard Schemas, usable in the `schemas` option next to
+ * the ones of other libraries. They only nest each other.
+ */
+export const rpcSchema = {
+    any() {
+        return createRpcSchema({}, () => [])
+    },
+    /**
+     * @param {{ minLength?: number; maxLength?: number; pattern?: RegExp; }} [options]
+     */
+    string(options = {}) {
+        return createRpcSchema({ type: 'string', minLength: options.minLength, maxLength: options.maxLength, pattern: options.pattern?.source }, (value, path) => {
+            if (typeof value != 'string') {
+                return [{ message: 'expected a string', path }]
+            }
+            if (options.minLength != null && value.length < options.minLength) {
+                return [{ message: `expected a length of at least ${options.minLength}`, path }]
+            }
+            if (options.maxLength != null && value.length > options.maxLength) {
+                return [{ message: `expected a length of at most ${options.maxLength}`, path }]
+            }
+            if (options.pattern && !options.pattern.test(value)) {
+                return [{ message: `expected to match ${options.pattern}`, path }]
+            }
+            return []
+        })
+    },
+    /**
+     * @param {{ min?: number; max?: number; integer?: boolean; }} [options]
+     */
+    number(options = {}) {
+        return createRpcSchema({ type: options.integer ? 'integer' : 'number', minimum: options.min, maximum: options.max }, (value, path) => {
+            if (typeof value != 'number' || Number.isNaN(value)) {
+                return [{ message: 'expected a number', path }]
+            }
+            if (options.integer && !Number.isInteger(value)) {
+                return [{ message: 'expected an integer', path }]
+            }
+            if (options.min != null && value < options.min) {
+                return [{ message: `expected at least ${options.min}`, path }]
+            }
+            if (options.max != null && value > options.max) {
+                return [{ message: `expected at most ${options.max}`, path }]
+            }
+            return []
+        })
+    },
+    boolean() {
+        return createRpcSchema({ type: 'boolean' }, (value, path) => {
+            return typeof value == 'boolean' ? [] : [{ message: 'expected a boolean', path }]
+        })
+    },
+    /**
+     * @param {...(string|number|boolean|null)} values
+     */
+    literal(...values) {
+        return createRpcSchema({ enum: values }, (value, path) => {
+            return values.includes(value) ? [] : [{ message: `expected one of ${values.map((o) => JSON.stringify(o)).join(', ')}`, path }]
+        })
+    },
+    /**
+     * @param {RPC_SCHEMA} item
+     * @param {{ minItems?: number; maxItems?: number; }} [options]
+     */
+    array(item, options = {}) {
+        return createRpcSchema({ type: 'array', items: item.jsonSchema, minItems: options.minItems, maxItems: options.maxItems }, (value, path) => {
+            if (!Array.isArray(value)) {
+                return [{ message: 'expected an array', path }]
+            }
+            if (options.minItems != null && value.length < options.minItems) {
+                return [{ message: `expected at least ${options.minItems} items`, path }]
+            }
+            if (options.maxItems != null && value.length > options.maxItems) {
+                return [{ message: `expected at most ${options.maxItems} items`, path }]
+            }
+            return value.flatMap((o, i) => checkRpcSchema(item, o, [...path, i]))
+        })
+    },
+    /**
+     * @param {Record<string,RPC_SCHEMA>} shape
+     * @param {{ strict?: boolean; }} [options] `strict` refuses properties missing in `shape`
+     */
+    object(shape, options = {}) {
+        let keys = Object.keys(shape)
+        let jsonSchema = {
+            type: 'object',
+            properties: Object.fromEntries(keys.map((key) => [key, shape[key].jsonSchema])),
+            required: keys.filter((key) => !rpcOptionalSchemas.has(shape[key])),
+            additionalProperties: options.strict ? false : undefined,
+        }
+        return createRpcSchema(jsonSchema, (value, path) => {
+            if (typeof value != 'object' || value === null || Array.isArray(value)) {
+                return [{ message: 'expected an object', path }]
+            }
+            let issues = keys.flatMap((key) => checkRpcSchema(shape[key], value[key], [...path, key]))
+            if (options.strict) {
+                for (const key of Object.keys(value)) {
+                    if (!Object.hasOwn(shape, key)) {
+                        issues.push({ message: 'unexpected property', path: [...path, key] })
+                    }
+                }
+            }
+            return issues
+        })
+    },
+    /**
+     * Also accepts undefined, a missing property or a missing trailing argument.
+     * @param {RPC_SCHEMA} schema
+     */
+    optional(schema) {
+        let optional = createRpcSchema({ ...schema.jsonSchema }, (value, path) => {
+            return value === undefined ? [] : checkRpcSchema(schema, value, path)
+        })
+        rpcOptionalSchemas.add(optional)
+        return optional
+    },
+    /**
+     * @param {RPC_SCHEMA} schema
+     */
+    nullable(schema) {
+        return createRpcSchema({ anyOf: [schema.jsonSchema, { type: 'null' }] }, (value, path) => {
+            return value === null ? [] : checkRpcSchema(schema, value, path)
+        })
+    },
+    /**
+     * @param {...RPC_SCHEMA} schemas
+     */
+    union(...schemas) {
+        return createRpcSchema({ anyOf: schemas.map((o) => o.jsonSchema) }, (value, path) => {
+            if (schemas.some((o) => checkRpcSchema(o, value, path).length == 0)) {
+                return []
+            }
+            return [{ message: 'expected a value matching one of the union', path }]
+        })
+    },
+    /**
+     * A callback argument, `args` only describe its parameters and are not checked.
+     * @param {RPC_SCHEMA[]} [args]
+     */
+    function(args = []) {
+        return createRpcSchema({ 'x-rpc-type': 'function', 'x-rpc-args': args.map((o) => o.jsonSchema) }, (value, path) => {
+            return typeof value == 'function' ? [] : [{ message: 'expected a function', path }]
+        })
+    },
+    /**
+     * Values of a class, like `Uint8Array`, `Date`, `ReadableStream` or `AbortSignal`.
+     * @param {new (...args:any[]) => any} type
+     */
+    instance(type) {
+        return createRpcSchema({ 'x-rpc-type': type.name }, (value, path) => {
+            return value instanceof type ? [] : [{ message: `expected a ${type.name}`, path }]
+        })
+    },
+}
+
+/**
+ * @param {RPC_SCHEMA} schema
+ * @param {any} value
+ * @param {PropertyKey} [key] the position of an argument, leads the paths of the issues
+ * @returns {Promise<{value?:any;issues?:RPC_SCHEMA_ISSUE[];}>} the issues with paths of plain keys
+ */
+async function runRpcSchema(schema, value, key) {
+    let result = await schema['~standard'].validate(value)
+    if (!result.issues) {
+        // `issues` does not narrow the union without strictNullChecks
+        return { value: /** @type{{value:any}} */(result).value }
+    }
+    let issues = result.issues.map((o) => {
+        let path = (o.path ?? []).map((p) => typeof p == 'object' ? p.key : p).map((p) => typeof p == 'symbol' ? String(p) : p)
+        return { message: o.message, path: key === undefined ? path : [key, ...path] }
+    })
+    return { issues }
+}
+
+/**
+ * @param {RPC_SCHEMA_ISSUE[]} issues
+ */
+function formatRpcSchemaIssue(issues) {
+    let [{ message, path }] = issues
+    return path.length ? `${path.join('.')}: ${message}` : message
+}
+
+/**
+ * @param {RPC_SCHEMA[]} schemas one per argument
+ * @param {string} fnName
+ * @param {any[]} args
+ * @returns {Promise<any[]>} the arguments returned by the schemas
+ */
+async function validateRpcArguments(schemas, fnName, args) {
+    /** @type{RPC_SCHEMA_ISSUE[]} */
+    let issues = []
+    let values = []
+    for (let i = 0; i < Math.max(args.length, schemas.length); i++) {
+        if (i >= schemas.length) {
+            issues.push({ message: 'unexpected argument', path: [i] })
+            continue
+        }
+        let result = await runRpcSchema(schemas[i], args[i], i)
+        if (result.issues) {
+            issues.push(...result.issues)
+        }
+        values.push(result.value)
+    }
+    if (issues.length) {
+        throw new RpcValidationError(`rpc invalid arguments of ${fnName}: ${formatRpcSchemaIssue(issues)}`, RPC_ERROR_CODE_INVALID_ARGUMENTS, issues)
+    }
+    // a missing trailing argument stays missing, so default parameters apply
+    while (values.length > args.length) {
+        values.pop()
+    }
+    return values
+}
+
+/**
+ * @param {RPC_SCHEMA} schema
+ * @param {string} fnName
+ * @param {any} value
+ */
+async function validateRpcResult(schema, fnName, value) {
+    let result = await runRpcSchema(schema, value)
+    if (result.issues) {
+        throw new RpcValidationError(`rpc invalid result of ${fnName}: ${formatRpcSchemaIssue(result.issues)}`, RPC_ERROR_CODE_INVALID_RESULT, result.issues)
+    }
+    return result.value
+}
+
+/**
+ * @param {object} extension
+ * @param {WritableStreamDefaultWriter<Uint8Array<ArrayBuffer>>} writer
+ * @param {Uint8Array<ArrayBuffer>} buffer
+ * @param {(msg:string)=>void} logger
+ * @param {RPC_SERVER_SESSION} [session] per connection state, shared by all frames of one connection
+ */
+export async function rpcRunServerDecodeBuffer(extension, writer, buffer, logger, session = { abortControllers: new Map(), streams: new Map(), argumentStreams: new Map() }) {
+    /** @type{RPC_DATA} */
+    let o = null
+    try {
+        o = parseRpcData(buffer)
+    } catch (error) {
+        console.error('rpcRunServerDecodeBuffer', error)
+        /** @type{RPC_DATA} */
+        let box = { id: 0, type: RPC_TYPE_ERROR, data: serializeRpcError(error) }
+        await writer.write(buildRpcData(box))
+        return
+    }
+    await rpcRunServerData({ extension, logger }, writer, o, session)
+}
+
+/**
+ * @param {RPC_SERVER_OPTIONS} param
+ * @param {WritableStreamDefaultWriter<Uint8Array<ArrayBuffer>>} writer
+ * @param {RPC_DATA} o a CALL, CANCEL, PULL, ARG_STREAM or ARG_STREAM_END frame
+ * @param {RPC_SERVER_SESSION} session
+ * @param {number} [size] bytes of the frame, for `onEvent`
+ */
+async function rpcRunServerData(param, writer, o, session, size = 0) {
+    /** @type{RPC_DATA} */
+    let box = null
+    let dataId = o.id
+    let fnName = null
+    /** @type{string} the method of the events, `RPC_EVENT_UNKNOWN_METHOD` for names no method has */
+    let method = null
+    let params = []
+    let time = Date.now()
+    let callbacks = 0
+    let responseBytes = 0
+    /** @type{WritableStreamDefaultWriter<Uint8Array<ArrayBuffer>>} frames answering the call, counted for `onEvent` */
+    const answer = /** @type{any} */({
+        write(/** @type {Uint8Array<ArrayBuffer>} */ chunk) {
+            responseBytes += chunk.length
+            return writer.write(chunk)
+        },
+    })
+    /** @type{any} */
+    let failure = null
+    let abortController = new AbortController()
+    let timer = null
+    /** @type{number[]} */
+    let argumentKeys = []
+    /** @type{RPC_CALL_CONTEXT} */
+    let context = null
+    try {
+        if (o.type == RPC_TYPE_CANCEL) {
+            session.abortControllers.get(o.id)?.abort()
+            return
+        }
+        if (o.type == RPC_TYPE_PULL) {
+            session.streams.get(o.id)?.pull(o.data)
+            return
+        }
+        if (o.type == RPC_TYPE_ARG_STREAM) {
+            pushRemoteStream(session.argumentStreams, o.id, o.data)
+            return
+        }
+        if (o.type == RPC_TYPE_ARG_STREAM_END) {
+            let error = o.data ? deserializeRpcError(o.data, buildErrorClasses(param.errorClasses)) : undefined
+            endRemoteStream(session.argumentStreams, o.id, error)
+            return
+        }
+        session.abortControllers.set(o.id, abortController)
+        let items = o.data
+        fnName = items.at(0).data
+        method = findRpcMethod(param, fnName) ? fnName : RPC_EVENT_UNKNOWN_METHOD
+        emitRpcEvent(param.onEvent, { type: 'call-start', side: 'server', id: o.id, method, queuedFrames: countQueuedFrames(writer) })
+        let timeout = o.type == RPC_TYPE_CALL ? o.header?.timeout : 0
+        let deadline = timeout > 0 ? time + timeout : 0
+        let args = items.slice(1)
+        for (let i = 0; i < args.length; i++) {
+            const p = args[i]
+            if (p.type == RPC_DATA_ARG_TYPE_FUNCTION) {
+                const callback = async (/** @type {any[]} */ ...args) => {
+                    callbacks++
+                    /** @type{RPC_DATA} */
+                    let box = { id: p.data, type: RPC_TYPE_CALLBACK, data: buildRpcItemData(args), }
+                    try {
+                        await answer.write(buildRpcData(box))
+                    } catch (error) {
+                        throw new Error(`rpc callback writer.write()`, { cause: error })
+                    }
+                }
+                params.push(callback)
+            } else if (p.type == RPC_DATA_ARG_TYPE_SIGNAL) {
+                params.push(abortController.signal)
+            } else if (p.type == RPC_DATA_ARG_TYPE_STREAM) {
+                const key = p.data
+                argumentKeys.push(key)
+                params.push(createRemoteStream(session.argumentStreams, key, {
+                    async pull(count) {
+                        /** @type{RPC_DATA} */
+                        let box = { id: key, type: RPC_TYPE_ARG_PULL, data: count }
+                        await writer.write(buildRpcData(box))
+                    },
+                    async cancel() {
+                        /** @type{RPC_DATA} */
+                        let box = { id: key, type: RPC_TYPE_ARG_CANCEL, data: null }
+                        await writer.write(buildRpcData(box))
+                    },
+                }))
+            } else {
+                params.push(p.data)
+            }
+        }
+        if (deadline) {
+            const timeoutError = () => new DOMException(`rpc call ${fnName} exceeded its deadline`, 'TimeoutError')
+            if (Date.now() >= deadline) {
+                throw timeoutError()
+            }
+            timer = setTimeout(() => abortController.abort(timeoutError()), deadline - Date.now())
+        }
+        let metadata = o.type == RPC_TYPE_CALL ? o.header?.metadata : null
+        context = {
+            id: o.id, method: fnName, deadline, signal: abortController.signal, args: params, result: undefined,
+            metadata: metadata ?? {}, trailers: {},
+        }
+        let middleware = param.tracer ? [createServerTracingMiddleware(param.tracer), ...param.middleware ?? []] : param.middleware
+        await runWithCallContext(param.extension, context, () => composeRpcMiddleware(middleware, async (ctx) => {
+            let found = findRpcMethod(param, ctx.method)
+            if (!found) {
+                throw Object.assign(new Error(`rpc method not found: ${ctx.method}`), { code: RPC_ERROR_CODE_METHOD_NOT_FOUND })
+            }
+            let schema = param.schemas && Object.hasOwn(param.schemas, ctx.method) ? param.schemas[ctx.method] : null
+            let args = schema?.args ? await validateRpcArguments(schema.args, ctx.method, ctx.args) : ctx.args
+            ctx.result = await found.method.apply(found.target, args)
+            if (schema?.result && !isRpcStream(ctx.result)) {
+                ctx.result = await validateRpcResult(schema.result, ctx.method, ctx.result)
+            }
+        })(context))
+        let ret = context.result
+        if (isRpcStream(ret)) {
+            clearTimeout(timer)
+            /** @type{RPC_DATA} */
+            let head = { id: o.id, type: RPC_TYPE_RETURN, data: null, header: { stream: true, ...buildTrailersHeader(context) } }
+            await answer.write(buildRpcData(head))
+            let credit = o.type == RPC_TYPE_CALL ? o.header?.credit ?? 0 : 0
+            await rpcRunServerStream(ret, o.id, answer, abortController.signal, session, credit)
+        } else {
+            box = { id: o.id, type: RPC_TYPE_RETURN, data: ret, header: buildTrailersHeader(context) }
+        }
+    } catch (error) {
+        failure = error
+        console.error('rpcRunServerDecodeBuffer', fnName, params.map(o => {
+            if (typeof o == 'function') { return 'function' }
+            return o
+        }), error)
+        box = {
+            id: dataId,
+            type: RPC_TYPE_ERROR,
+            data: serializeRpcError(error, param.stripErrorStack),
+            header: buildTrailersHeader(context),
+        }
+    } finally {
+        clearTimeout(timer)
+        if (session.abortControllers.get(dataId) === abortController) {
+            session.abortControllers.delete(dataId)
+        }
+        for (const key of argumentKeys) {
+            if (session.argumentStreams.has(key)) {
+                endRemoteStream(session.argumentStreams, key, new DOMException(`rpc call ${fnName} ended`, 'AbortError'))
+                /** @type{RPC_DATA} */
+                let cancel = { id: key, type: RPC_TYPE_ARG_CANCEL, data: null }
+                writer.write(buildRpcData(cancel)).catch(console.error)
+            }
+        }
+    }
+    if (param.logger) {
+        param.logger(`time: ${Date.now() - time}ms ${fnName}(${params.map(o => {
+            if (typeof o == 'function') { return `Function()` }
+            if (o instanceof AbortSignal) { return `AbortSignal()` }
+            if (o instanceof ReadableStream) { return `ReadableStream()` }
+            if (o instanceof Uint8Array) { return `Uint8Array(${o.length})` }
+            return o
+        }).join(', ')})`)
+    }
+    if (box) {
+        await answer.write(buildRpcData(box))
+    }
+    if (method != null) {
+        emitRpcEvent(param.onEvent, {
+            type: 'call-end', side: 'server', id: dataId, method, duration: Date.now() - time,
+            requestBytes: size, responseBytes, callbacks, ...describeRpcFailure(failure), queuedFrames: countQueuedFrames(writer),
+        })
+    }
+}
+
+/** the method of the server events of calls to names no method has, callers choose the names, so they would make a metric series each */
+const RPC_EVENT_UNKNOWN_METHOD = '<unknown>'
+
+/**
+ * @param {(event:RPC_EVENT)=>void} onEvent
+ * @param {RPC_EVENT} event
+ */
+export function emitRpcEvent(onEvent, event) {
+    if (!onEvent) {
+        return
+    }
+    try {
+        onEvent(event)
+    } catch (error) {
+        console.error('rpc onEvent', error)
+    }
+}
+
+/**
+ * Frames written to a helper that wait to be encoded, the writable side of the encode stream
+ * has a high water mark of 1.
+ * @param {WritableStreamDefaultWriter<any>} writer
+ */
+function countQueuedFrames(writer) {
+    return Math.max(0, 1 - (writer.desiredSize ?? 1))
+}
+
+/**
+ * @param {any} error
+ * @returns {{error?:string;code?:string|number;}}
+ */
+function describeRpcFailure(error) {
+    if (error == null) {
+        return {}
+    }
+    return { error: error.name ?? typeof error, code: error.code }
+}
+
+/**
+ * Aggregates events into Prometheus metrics: pass `metrics.onEvent` as the `onEvent` option of
+ * any number of helpers and transports, `toPrometheus()` returns the text exposition format.
+ * @param {{ buckets?: number[]; }} [options] `buckets` of the call duration histogram, in seconds
+ */
+export function createRpcMetrics(options = {}) {
+    const buckets = options.buckets ?? [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+    /** @type{Map<string,{side:string;method:string;ok:number;error:number;requestBytes:number;responseBytes:number;callbacks:number;sum:number;buckets:number[];}>} */
+    const calls = new Map()
+    const activeCalls = { client: 0, server: 0 }
+    const activeConnections = { client: 0, server: 0 }
+    const queuedFrames = { client: 0, server: 0 }
+    const label = (/** @type {string} */ value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+    return {
+        /** @param {RPC_EVENT} event */
+        onEvent(event) {
+            if (event.type == 'connection-open') {
+                activeConnections[event.side]++
+            } else if (event.type == 'connection-close') {
+                activeConnections[event.side]--
+            } else if (event.type == 'call-start') {
+                activeCalls[event.side]++
+                queuedFrames[event.side] = event.queuedFrames
+            } else if (event.type == 'call-end') {
+                activeCalls[event.side]--
+                queuedFrames[event.side] = event.queuedFrames
+                let key = `${event.side}\n${event.method}`
+                let o = calls.get(key)
+                if (!o) {
+                    o = { side: event.side, method: event.method, ok: 0, error: 0, requestBytes: 0, responseBytes: 0, callbacks: 0, sum: 0, buckets: buckets.map(() => 0) }
+                    calls.set(key, o)
+                }
+                o[event.error ? 'error' : 'ok']++
+                o.requestBytes += event.requestBytes
+                o.responseBytes += event.responseBytes
+                o.callbacks += event.callbacks
+                o.sum += event.duration / 1000
+                buckets.forEach((le, i) => {
+                    if (event.duration / 1000 <= le) {
+                        o.buckets[i]++
+                    }
+                })
+            }
+        },
+        toPrometheus() {
+            /** @type{string[]} */
+            let lines = []
+            /**
+             * @param {string} name
+             * @param {string} type
+             * @param {string} help
+             * @param {[string,number][]} samples suffix and labels of each sample, with its value
+             */
+            const metric = (name, type, help, samples) => {
+                lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`)
+                for (const [labels, value] of samples) {
+                    lines.push(`${name}${labels} ${value}`)
+                }
+            }
+            let list = [...calls.values()]
+            const labels = (/** @type {{side:string;method:string;}} */ o, extra = '') => `{side="${o.side}",method="${label(o.method)}"${extra}}`
+            metric('rpc_calls_total', 'counter', 'Calls that ended, by status.', list.flatMap((o) => [
+                /** @type{[string,number]} */([labels(o, ',status="ok"'), o.ok]),
+                /** @type{[string,number]} */([labels(o, ',status="error"'), o.error]),
+            ]))
+            metric('rpc_call_duration_seconds', 'histogram', 'Duration of the calls.', list.flatMap((o) => [
+                ...buckets.map((le, i) => /** @type{[string,number]} */([`_bucket${labels(o, `,le="${le}"`)}`, o.buckets[i]])),
+                /** @type{[string,number]} */([`_bucket${labels(o, ',le="+Inf"')}`, o.ok + o.error]),
+                /** @type{[string,number]} */([`_sum${labels(o)}`, o.sum]),
+                /** @type{[string,number]} */([`_count${labels(o)}`, o.ok + o.error]),
+            ]))
+            metric('rpc_request_bytes_total', 'counter', 'Bytes of the call frames.', list.map((o) => [labels(o), o.requestBytes]))
+            metric('rpc_response_bytes_total', 'counter', 'Bytes of the frames answering the calls.', list.map((o) => [labels(o), o.responseBytes]))
+            metric('rpc_callbacks_total', 'counter', 'Callback invocations.', list.map((o) => [labels(o), o.callbacks]))
+            const sides = (/** @type {{client:number;server:number;}} */ o) => /** @type{[string,number][]} */([[`{side="client"}`, o.client], [`{side="server"}`, o.server]])
+            metric('rpc_active_calls', 'gauge', 'Calls that have not ended.', sides(activeCalls))
+            metric('rpc_active_connections', 'gauge', 'Open connections, HTTP requests count as connections.', sides(activeConnections))
+            metric('rpc_queued_frames', 'gauge', 'Frames waiting to be encoded when the last call started or ended.', sides(queuedFrames))
+            return lines.join('\n') + '\n'
+        },
+    }
+}
+
+/**
+ * @param {RPC_CALL_CONTEXT} context null when the call failed before it had one
+ * @returns {RPC_DATA_HEADER} undefined without trailers
+ */
+function buildTrailersHeader(context) {
+    if (!context || Object.keys(context.trailers).length == 0) {
+        return undefined
+    }
+    return { trailers: context.trailers }
+}
+
+/**
+ * @param {any} value
+ * @returns {value is AsyncIterable<any>|ReadableStream<any>}
+ */
+function isRpcStream(value) {
+    return value instanceof ReadableStream || typeof value?.[Symbol.asyncIterator] == 'function'
+}
+
+/**
+ * Async iterator of a ReadableStream, for runtimes where ReadableStream is not async iterable.
+ * Stopping early cancels the stream.
+ * @param {ReadableStream} stream
+ */
+async function* iterateReadableStream(stream) {
+    let reader = stream.getReader()
+    let done = false
+    try {
+        while (!done) {
+            let ret = await reader.read()
+            done = ret.done
+            if (!done) {
+                yield ret.value
+            }
+        }
+    } finally {
+        if (!done) {
+            await reader.cancel()
+        }
+        reader.releaseLock()
+    }
+}
+
+/**
+ * Reads `source` and passes each chunk to `send` while the receiver has credit. `register` gets
+ * the function that adds the credit the receiver grants, aborting `signal` stops the source.
+ * @param {AsyncIterable<any>|ReadableStream<any>} source
+ * @param {number} credit chunks that may be sent before the first grant
+ * @param {AbortSignal} signal
+ * @param {(pull:(count:number)=>void)=>void} register
+ * @param {(chunk:any)=>Promise<void>} send
+ * @returns {Promise<boolean>} whether the source was read to the end
+ */
+async function pumpRpcStream(source, credit, signal, register, send) {
+    /** @type{AsyncIterator<any>} */
+    let iterator = typeof source[Symbol.asyncIterator] == 'function'
+        ? source[Symbol.asyncIterator]()
+        : iterateReadableStream(/** @type{ReadableStream} */(source))
+    let wake = () => { }
+    register((count) => {
+        credit += count
+        wake()
+    })
+    const onabort = () => {
+        wake()
+        iterator.return?.().catch(console.error)
+    }
+    signal.addEventListener('abort', onabort)
+    try {
+        while (!signal.aborted) {
+            if (credit <= 0) {
+                await /** @type{Promise<void>} */(new Promise((resolve) => { wake = resolve }))
+                continue
+            }
+            let { done, value } = await iterator.next()
+            if (signal.aborted) {
+                break
+            }
+            if (done) {
+                return true
+            }
+            credit--
+            await send(value)
+        }
+        return false
+    } finally {
+        signal.removeEventListener('abort', onabort)
+    }
+}
+
+/**
+ * Sends the chunks of a streamed result as STREAM frames, one per credit granted by the caller
+ * in PULL frames, and stops the source when the caller cancels.
+ * @param {AsyncIterable<any>|ReadableStream<any>} source
+ * @param {number} id
+ * @param {WritableStreamDefaultWriter<Uint8Array<ArrayBuffer>>} writer
+ * @param {AbortSignal} signal
+ * @param {RPC_SERVER_SESSION} session
+ * @param {number} credit
+ */
+async function rpcRunServerStream(source, id, writer, signal, session, credit) {
+    try {
+        let ended = await pumpRpcStream(source, credit, signal, (pull) => session.streams.set(id, { pull }), async (chunk) => {
+            /** @type{RPC_DATA} */
+            let box = { id, type: RPC_TYPE_STREAM, data: chunk }
+            await writer.write(buildRpcData(box))
+        })
+        if (ended) {
+            /** @type{RPC_DATA} */
+            let box = { id, type: RPC_TYPE_STREAM_END, data: null }
+            await writer.write(buildRpcData(box))
+        }
+    } finally {
+        session.streams.delete(id)
+    }
+}
+
+/** stream chunks a receiver buffers before it stops granting credit */
+const RPC_STREAM_HIGH_WATER_MARK = 16
+
+/** 
+ * @typedef {{
+ * controller: ReadableStreamDefaultController;
+ * arrived: () => void;
+ * requested: number;
+ * received: number;
+ * ended?: () => void;
+ * }} RPC_REMOTE_STREAM
+ */
+
+/**
+ * A ReadableStream of the chunks the other side sends for `id`, see `pushRemoteStream` and
+ * `endRemoteStream`. As the consumer reads, `source.pull` grants the sender credit for more
+ * chunks, canceling calls `source.cancel` to stop the sender.
+ * @param {Map<number,RPC_REMOTE_STREAM>} streams
+ * @param {number} id
+ * @param {{ pull?: (count:number)=>Promise<void>; cancel: ()=>Promise<void>; ended?: ()=>void; }} source without `pull` the sender does not wait for credit,
+ * `ended` is called once the stream closes, fails or is canceled
+ * @returns {ReadableStream & AsyncIterable<any>}
+ */
+function createRemoteStream(streams, id, source) {
+    /** @type{ReadableStream & AsyncIterable<any>} */
+    let stream = /** @type{any} */(new ReadableStream({
+        start(controller) {
+            streams.set(id, { controller, arrived: () => { }, requested: 0, received: 0, ended: source.ended })
+        },
+        async pull(controller) {
+            let o = streams.get(id)
+            if (!o) {
+                return
+            }
+            let arrived = /** @type{Promise<void>} */(new Promise((resolve) => { o.arrived = resolve }))
+            let count = controller.desiredSize - (o.requested - o.received)
+            if (source.pull && count > 0) {
+                o.requested += count
+                await source.pull(count)
+            }
+            await arrived
+        },
+        async cancel() {
+            let o = streams.get(id)
+            streams.delete(id)
+            o?.arrived()
+            o?.ended?.()
+            await source.cancel()
+        },
+    }, { highWaterMark: RPC_STREAM_HIGH_WATER_MARK }))
+    if (!stream[Symbol.asyncIterator]) {
+        // runtimes without async iteration of ReadableStream
+        /** @type{any} */(stream)[Symbol.asyncIterator] = () => iterateReadableStream(stream)
+    }
+    return stream
+}
+
+/**
+ * @param {Map<number,RPC_REMOTE_STREAM>} streams
+ * @param {number} id
+ * @param {any} chunk
+ */
+function pushRemoteStream(streams, id, chunk) {
+    let o = streams.get(id)
+    if (o) {
+        o.received++
+        o.controller.enqueue(chunk)
+        o.arrived()
+    }
+}
+
+/**
+ * @param {Map<number,RPC_REMOTE_STREAM>} streams
+ * @param {number} id
+ * @param {any} [error] the stream fails with it, or closes when there is none
+ */
+function endRemoteStream(streams, id, error) {
+    let o = streams.get(id)
+    if (o) {
+        streams.delete(id)
+        if (error === undefined) {
+            o.controller.close()
+        } else {
+            o.controller.error(error)
+        }
+        o.arrived()
+        o.ended?.()
+    }
+}
+
+/**
+ * @param {(fnName:string,args:object[])=>Promise<object>} apiInvoke
+ */
+export function createRPCProxy(apiInvoke) {
+    const map = new Map()
+    const proxy = new Proxy(Object(), {
+        get(_target, p) {
+            let proxy = map.get(p)
+            if (proxy) {
+                return proxy
+            }
+            proxy = createRPCMethodProxy(apiInvoke, String(p))
+            map.set(p, proxy)
+            return proxy
+        }
+    })
+    return proxy
+}
+
+/**
+ * The proxy of the service `name` registered on the other side, the same proxy as `proxy[name]`.
+ * Every property of a client proxy is a remote method, so scoping to a service is not one of them.
+ * @param {any} proxy a client proxy of `createRPCProxy`
+ * @param {string} name
+ * @returns {any}
+ */
+export function rpcService(proxy, name) {
+    return proxy[name]
+}
+
+/**
+ * Calling it invokes `fnName`, its properties are the methods of the namespace `fnName`, so
+ * `rpc.users.get()` invokes `users.get`. `then` and symbols are left undefined, a method proxy is
+ * not a thenable.
+ * @param {(fnName:string,args:object[])=>Promise<object>} apiInvoke
+ * @param {string} fnName
+ */
+function createRPCMethodProxy(apiInvoke, fnName) {
+    const map = new Map()
+    return new Proxy(function () { }, {
+        get(_target, p) {
+            if (typeof p == 'symbol' || p == 'then') {
+                return undefined
+            }
+            let proxy = map.get(p)
+            if (proxy) {
+                return proxy
+            }
+            proxy = createRPCMethodProxy(apiInvoke, `${fnName}.${p}`)
+            map.set(p, proxy)
+            return proxy
+        },
+        async apply(_target, _thisArg, argArray) {
+            try {
+                return await apiInvoke(fnName, argArray)
+            } catch (error) {
+                if (remoteErrors.has(error)) {
+                    throw error
+                }
+                throw new RPCError(error.message, null, { cause: error })
+            }
+        }
+    })
+}
 
-    let uniqueKeyID = 0
+/** 
+ * @typedef {{
+ * writable: WritableStream<Uint8Array<ArrayBuffer>>;
+ * readable: ReadableStream<Uint8Array<ArrayBuffer>>;
+ * apiInvoke: (fnName: string, args: object[]) => Promise<object>;
+ * reject: (error:object)=>void;
+ * services: Map<string,object>;
+ * }} RPC_HELPER_SERVER `services` is the registry of named services of this helper, see `RPC_SERVER_OPTIONS`.
+ * `reject` ends a helper whose connection is gone: the pending calls fail with `error`, the calls it
+ * serves are aborted, their streamed results stopped and their stream arguments failed
+ */
 
-    /** @type{Map<number,CALLBACK_ITEM>} */
-    const callbackFunctionMap = new Map()
+/**
+ * @param {{ 
+ * rpcKey: string; 
+ * extension: object;
+ * logger?: (msg:string)=>void; 
+ * async?: boolean; 
+ * timeout?: number; 
+ * allowMethods?: string[];
+ * denyMethods?: string[];
+ * stripErrorStack?: boolean;
+ * errorClasses?: (new (...args:any[]) => Error)[];
+ * senders?: RPC_FRAME_SENDERS;
+ * handshake?: RPC_HANDSHAKE_OPTIONS;
+ * cryptoKey?: Promise<CryptoKey>;
+ * middleware?: RPC_MIDDLEWARE<RPC_CALL_CONTEXT>[];
+ * services?: Map<string,object>;
+ * schemas?: Record<string,RPC_METHOD_SCHEMA>;
+ * callMiddleware?: RPC_MIDDLEWARE<RPC_INVOKE_CONTEXT>[];
+ * metadata?: RPC_CLIENT_METADATA;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
+ * }} param `allowMethods` limits the methods of `extension` that can be called, `denyMethods` excludes some,
+ * `stripErrorStack` leaves the stacks out of the errors sent back, `errorClasses` are used to rebuild the
+ * errors thrown by the other side, see `deserializeRpcError`, `senders` shares the replay protection
+ * between helpers, see `createDecodeStream`. `handshake` starts the connection with a key exchange,
+ * see `createRpcHandshake`, `cryptoKey` replaces the key derived from `rpcKey`, e.g. by a handshake
+ * done before the helper is created. `middleware` runs around the methods of `extension`,
+ * `callMiddleware` around the calls made through `apiInvoke`, see `composeRpcMiddleware`, `metadata`
+ * is sent with every call made through `apiInvoke`. `tracer` starts a span for every call in either
+ * direction, see `createRpcOpenTelemetryTracer`. `onEvent` receives the calls in either direction,
+ * see `createRpcMetrics`. `services` is the registry of named services, a new one without it
+ */
+export function createRpcServerHelper(param) {
+    /** @type{RPC_HELPER_SERVER} */
+    let ret = createRpcHelper({ ...param, role: 'server' })
+    return ret
+}
+
+/** 
+ * @typedef {{
+ * writable: WritableStream<Uint8Array<ArrayBuffer>>;
+ * readable: ReadableStream<Uint8Array<ArrayBuffer>>;
+ * apiInvoke: (fnName: string, args: object[]) => Promise<object>;
+ * reject: (error:object)=>void;
+ * services: Map<string,object>;
+ * }} RPC_HELPER_CLIENT `services` is the registry of named services of this helper, see `RPC_SERVER_OPTIONS`.
+ * `reject` ends a helper whose connection is gone, see `RPC_HELPER_SERVER`
+ */
+
+/**
+ * Options for a single call, pass an instance anywhere in the argument list of a proxy call.
+ * It is consumed by the client and not sent to the server as an argument.
+ */
+export class RpcCallOptions {
+    /**
+     * @param {{
+     * timeout?: number;
+     * metadata?: RPC_METADATA;
+     * }} options
+     */
+    constructor(options) {
+        /** milliseconds, overrides the client's default `timeout`, 0 disables it */
+        this.timeout = options.timeout
+        /** sent with the call, over the client's `metadata` */
+        this.metadata = options.metadata
+        /**
+         * the trailers the server answered with, set when the call has settled
+         * @type{RPC_METADATA}
+         */
+        this.trailers = undefined
+    }
+}
+
+class RPCError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} stack
+     * @param {ErrorOptions} [option]
+     */
+    constructor(message, stack, option) {
+        super(message, option)
+        if (stack) {
+            this.stack = stack
+        }
+    }
+}
 
-    let rpc_key_iv = buildKeyIv(param.rpcKey, 10)
-    let decode = createDecodeStream(rpc_key_iv)
-    let encode = createEncodeStream(rpc_key_iv)
+/** placeholder of a stream argument in `buildRpcItemData`, `key` identifies the frames of the stream */
+class RpcStreamArgument {
+    /**
+     * @param {number} key
+     */
+    constructor(key) {
+        this.key = key
+    }
+}
+
+/** errors rebuilt from ERROR frames, rethrown by the proxy as they are */
+const remoteErrors = new WeakSet()
+
+/**
+ * Thrown for arguments or a result that do not match the schemas of a method, `issues` name the
+ * failing values by their `path`, which starts with the position of the argument.
+ */
+export class RpcValidationError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code `RPC_ERROR_CODE_INVALID_ARGUMENTS` or `RPC_ERROR_CODE_INVALID_RESULT`
+     * @param {RPC_SCHEMA_ISSUE[]} issues
+     */
+    constructor(message, code, issues) {
+        super(message)
+        this.name = 'RpcValidationError'
+        this.code = code
+        this.issues = issues
+    }
+}
+
+/** @type{(new (...args:any[]) => Error)[]} */
+const RPC_ERROR_CLASSES = [Error, TypeError, RangeError, SyntaxError, ReferenceError, EvalError, URIError, AggregateError, RpcValidationError]
+
+/**
+ * Converts a thrown value into the data of an ERROR frame, keeping `name`, `code`, the other
+ * enumerable properties, `cause` and `AggregateError.errors`.
+ * @param {any} error
+ * @param {boolean} [stripStack] leave out the stacks, so server internals are not sent to clients
+ * @param {number} [depth]
+ * @returns {RPC_ERROR_DATA}
+ */
+export function serializeRpcError(error, stripStack = false, depth = 0) {
+    if (error === null || typeof error != 'object') {
+        return { name: 'Error', message: String(error) }
+    }
+    /** @type{RPC_ERROR_DATA} */
+    let data = { name: String(error.name ?? 'Error'), message: String(error.message ?? '') }
+    let type = error.constructor?.name
+    if (type && type != data.name) {
+        data.type = type
+    }
+    if (!stripStack && error.stack) {
+        data.stack = String(error.stack)
+    }
+    if (error.code !== undefined) {
+        data.code = error.code
+    }
+    for (const key of Object.keys(error)) {
+        if (['name', 'message', 'stack', 'code', 'cause', 'errors'].includes(key) || typeof error[key] == 'function') {
+            continue
+        }
+        data.props = data.props || {}
+        data.props[key] = error[key]
+    }
+    if (depth < 10) {
+        if (error.cause !== undefined) {
+            let cause = error.cause
+            data.cause = cause instanceof Error ? serializeRpcError(cause, stripStack, depth + 1) : { value: cause }
+        }
+        if (Array.isArray(error.errors)) {
+            data.errors = error.errors.map((/** @type {any} */ o) => serializeRpcError(o, stripStack, depth + 1))
+        }
+    }
+    return data
+}
+
+/**
+ * Rebuilds an error from the data of an ERROR frame. The class is looked up by constructor
+ * name and then by `name`, falling back to `Error`, and is not called, so classes with any
+ * constructor signature can be registered.
+ * @param {RPC_ERROR_DATA} data
+ * @param {Map<string,new (...args:any[]) => Error>} [errorClasses] see `buildErrorClasses`
+ * @returns {Error}
+ */
+export function deserializeRpcError(data, errorClasses = buildErrorClasses()) {
+    /** @type{any} */
+    let error = null
+    if (data.type == 'DOMException' && typeof DOMException == 'function') {
+        error = new DOMException(data.message, data.name)
+    } else {
+        let ErrorClass = errorClasses.get(data.type) || errorClasses.get(data.name) || Error
+        error = Reflect.construct(Error, [data.message], ErrorClass)
+        if (error.name !== data.name) {
+            Object.defineProperty(error, 'name', { value: data.name, writable: true, configurable: true })
+        }
+    }
+    if (data.stack) {
+        Object.defineProperty(error, 'stack', { value: data.stack, writable: true, configurable: true })
+    }
+    if (data.code !== undefined) {
+        error.code = data.code
+    }
+    Object.assign(error, data.props)
+    if (data.cause) {
+        let cause = 'value' in data.cause ? data.cause.value : deserializeRpcError(data.cause, errorClasses)
+        Object.defineProperty(error, 'cause', { value: cause, writable: true, configurable: true })
+    }
+    if (data.errors) {
+        let errors = data.errors.map(o => deserializeRpcError(o, errorClasses))
+        Object.defineProperty(error, 'errors', { value: errors, writable: true, configurable: true })
+    }
+    return error
+}
+
+/**
+ * @param {(new (...args:any[]) => Error)[]} [classes] error classes known to the client, besides the built-in ones
+ */
+export function buildErrorClasses(classes = []) {
+    return new Map([...RPC_ERROR_CLASSES, ...classes].map(o => [o.name, o]))
+}
+
+/**
+ * @param {{ 
+ * rpcKey: string; 
+ * timeout?: number; 
+ * extension?: object;
+ * logger?: (msg:string)=>void; 
+ * allowMethods?: string[];
+ * denyMethods?: string[];
+ * stripErrorStack?: boolean;
+ * errorClasses?: (new (...args:any[]) => Error)[];
+ * flowControl?: boolean;
+ * handshake?: RPC_HANDSHAKE_OPTIONS;
+ * cryptoKey?: Promise<CryptoKey>;
+ * middleware?: RPC_MIDDLEWARE<RPC_CALL_CONTEXT>[];
+ * services?: Map<string,object>;
+ * schemas?: Record<string,RPC_METHOD_SCHEMA>;
+ * callMiddleware?: RPC_MIDDLEWARE<RPC_INVOKE_CONTEXT>[];
+ * metadata?: RPC_CLIENT_METADATA;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
+ * }} param `flowControl: false` for transports that can not send frames while a result is
+ * streaming, like one request per message over HTTP, the server then streams without waiting for credit.
+ * `callMiddleware` runs around every call made through `apiInvoke`, see `composeRpcMiddleware`.
+ * `metadata` is sent with every call, a function is called for every call, e.g. to refresh a token.
+ * `tracer` starts a span for every call and sends its trace context, see `createRpcOpenTelemetryTracer`.
+ * `onEvent` receives a `call-start` and a `call-end` event for every call, see `createRpcMetrics`
+ */
+export function createRpcClientHelper(param) {
+    /** @type{RPC_HELPER_CLIENT} */
+    let ret = createRpcHelper({ ...param, async: true, role: 'client' })
+    return ret
+}
+
+/**
+ * Client and server use the same helper, so either end can call the other over one connection:
+ * CALL, CANCEL, PULL and ARG_STREAM frames run methods of `extension`, RETURN, ERROR, CALLBACK,
+ * STREAM and ARG_PULL frames settle the calls made through `apiInvoke`.
+ * @param {{ 
+ * rpcKey: string; 
+ * extension?: object;
+ * logger?: (msg:string)=>void; 
+ * async?: boolean; 
+ * timeout?: number; 
+ * allowMethods?: string[];
+ * denyMethods?: string[];
+ * stripErrorStack?: boolean;
+ * errorClasses?: (new (...args:any[]) => Error)[];
+ * flowControl?: boolean;
+ * role: RPC_ROLE;
+ * senders?: RPC_FRAME_SENDERS;
+ * handshake?: RPC_HANDSHAKE_OPTIONS;
+ * cryptoKey?: Promise<CryptoKey>;
+ * middleware?: RPC_MIDDLEWARE<RPC_CALL_CONTEXT>[];
+ * services?: Map<string,object>;
+ * schemas?: Record<string,RPC_METHOD_SCHEMA>;
+ * callMiddleware?: RPC_MIDDLEWARE<RPC_INVOKE_CONTEXT>[];
+ * metadata?: RPC_CLIENT_METADATA;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
+ * }} param
+ */
+function createRpcHelper(param) {
+    param = { ...param, services: param.services ?? new Map() }
+    let handshake = param.handshake ? createRpcHandshake(param.rpcKey, param.role, param.handshake) : null
+    let rpcKey = param.cryptoKey || (handshake ? handshake.key : buildRpcKey(param.rpcKey, 10))
+    const encode = createEncodeStream(rpcKey, param.role, handshake)
+    const decode = createDecodeStream(rpcKey, param.role, param.senders, handshake)
     let writer = encode.writable.getWriter()
+    /** @type{RPC_SERVER_SESSION} */
+    const session = { abortControllers: new Map(), streams: new Map(), argumentStreams: new Map() }
+    const invoker = createRpcInvoker(param, writer)
+    /** @type{Set<Promise<void>>} calls of an async helper that still run, its readable ends after them */
+    const running = new Set()
     decode.readable.pipeTo(new WritableStream({
         async write(buffer) {
+            /** @type{RPC_DATA} */
+            let data = null
             try {
-                let data = parseRpcData(buffer)
-                let items = data.data
-                if (callbackFunctionMap.has(data.id)) {
-                    let o = callbackFunctionMap.get(data.id)
-                    if (data.type == RPC_TYPE_ERROR) {
-                        let error = data.data
-                        o.promise.reject(new RPCError(error.message, error.stack))
-                    }
-                    if (data.type == RPC_TYPE_RETURN) {
-                        callbackFunctionMap.delete(data.id)
-                        o.promise.resolve(data.data)
-                    }
-                    if (data.type == RPC_TYPE_CALLBACK) {
-                        let args = items.map((/** @type {{ data: any; }} */ o) => o.data)
-                        o.callback.apply(o, args)
-                    }
-                }
+                data = parseRpcData(buffer)
             } catch (error) {
-                console.error('apiInvoke', error)
-                callbackFunctionMap.forEach((o) => {
-                    o.promise?.reject(error)
-                })
-                callbackFunctionMap.clear()
+                // a frame that can not be read belongs to no call, the others go on
+                console.error('parseRpcData frame dropped', error)
+                return
+            }
+            if (data.type == RPC_TYPE_CALL || data.type == RPC_TYPE_CANCEL || data.type == RPC_TYPE_PULL
+                || data.type == RPC_TYPE_ARG_STREAM || data.type == RPC_TYPE_ARG_STREAM_END) {
+                if (param.async) {
+                    let run = rpcRunServerData(param, writer, data, session, buffer.length).catch(console.error)
+                    running.add(run)
+                    run.finally(() => running.delete(run))
+                } else {
+                    await rpcRunServerData(param, writer, data, session, buffer.length)
+                }
+            } else {
+                invoker.receive(data, buffer.length)
             }
+        },
+        async close() {
+            await Promise.all(running)
+            await writer.close()
         }
-    }))
+    })).catch((error) => {
+        console.error(error)
+        reject(error)
+    })
+
+    /** @param {object} error */
+    function reject(error) {
+        invoker.reject(error)
+        for (const abortController of session.abortControllers.values()) {
+            abortController.abort(error)
+        }
+        for (const key of [...session.argumentStreams.keys()]) {
+            endRemoteStream(session.argumentStreams, key, error)
+        }
+    }
+
+    return { writable: decode.writable, readable: encode.readable, apiInvoke: invoker.apiInvoke, reject, services: param.services }
+}
+
+/**
+ * The calling half of a helper.
+ * @param {{ timeout?: number; errorClasses?: (new (...args:any[]) => Error)[]; flowControl?: boolean; stripErrorStack?: boolean; callMiddleware?: RPC_MIDDLEWARE<RPC_INVOKE_CONTEXT>[]; metadata?: RPC_CLIENT_METADATA; tracer?: RPC_TRACER; onEvent?: (event:RPC_EVENT)=>void; }} param
+ * @param {WritableStreamDefaultWriter<Uint8Array<ArrayBuffer>>} writer
+ */
+function createRpcInvoker(param, writer) {
+
+    let uniqueKeyID = 0
+
+    const errorClasses = buildErrorClasses(param.errorClasses)
+
+    /** @type{Map<number,CALLBACK_ITEM>} */
+    const callbackFunctionMap = new Map()
+
+    /** @type{Map<number,RPC_REMOTE_STREAM>} */
+    const streams = new Map()
+
+    /** @type{Map<number,{pull:(count:number)=>void;abort:()=>void;}>} */
+    const uploads = new Map()
+
+    /**
+     * The result of a call whose method returned a stream, canceling it cancels the call.
+     * @param {number} id
+     * @param {()=>void} [ended]
+     */
+    function createResultStream(id, ended) {
+        return createRemoteStream(streams, id, {
+            ended,
+            pull: param.flowControl === false ? undefined : async (count) => {
+                /** @type{RPC_DATA} */
+                let box = { id, type: RPC_TYPE_PULL, data: count }
+                await writer.write(buildRpcData(box))
+            },
+            async cancel() {
+                /** @type{RPC_DATA} */
+                let box = { id, type: RPC_TYPE_CANCEL, data: null }
+                await writer.write(buildRpcData(box))
+            },
+        })
+    }
+
+    /**
+     * Sends a stream argument as ARG_STREAM frames while the callee grants credit.
+     * @param {number} key
+     * @param {AsyncIterable<any>|ReadableStream<any>} source
+     */
+    function sendArgumentStream(key, source) {
+        const abortController = new AbortController()
+        let pull = (/** @type {number} */ _count) => { }
+        uploads.set(key, { pull: (count) => pull(count), abort: () => abortController.abort() })
+        const end = async (/** @type {RPC_ERROR_DATA} */ error) => {
+            /** @type{RPC_DATA} */
+            let box = { id: key, type: RPC_TYPE_ARG_STREAM_END, data: error }
+            await writer.write(buildRpcData(box))
+        }
+        pumpRpcStream(source, 0, abortController.signal, (o) => { pull = o }, async (chunk) => {
+            /** @type{RPC_DATA} */
+            let box = { id: key, type: RPC_TYPE_ARG_STREAM, data: chunk }
+            await writer.write(buildRpcData(box))
+        }).then(async (ended) => {
+            if (ended) {
+                await end(null)
+            }
+        }, async (error) => {
+            if (!abortController.signal.aborted) {
+                await end(serializeRpcError(error, param.stripErrorStack))
+            }
+        }).catch(console.error).finally(() => {
+            uploads.delete(key)
+        })
+    }
+
+    /**
+     * @param {RPC_DATA} data a RETURN, ERROR, CALLBACK, STREAM, STREAM_END, ARG_PULL or ARG_CANCEL frame
+     * @param {number} [size] bytes of the frame, for `onEvent`
+     */
+    function receive(data, size = 0) {
+        try {
+            let items = data.data
+            if (data.type == RPC_TYPE_ARG_PULL) {
+                uploads.get(data.id)?.pull(data.data)
+            } else if (data.type == RPC_TYPE_ARG_CANCEL) {
+                uploads.get(data.id)?.abort()
+            } else if (streams.has(data.id)) {
+                if (data.type == RPC_TYPE_STREAM) {
+                    pushRemoteStream(streams, data.id, data.data)
+                } else if (data.type == RPC_TYPE_ERROR) {
+                    let remoteError = deserializeRpcError(data.data, errorClasses)
+                    remoteErrors.add(remoteError)
+                    endRemoteStream(streams, data.id, remoteError)
+                } else {
+                    endRemoteStream(streams, data.id)
+                }
+            } else if (callbackFunctionMap.has(data.id)) {
+                let o = callbackFunctionMap.get(data.id)
+                let call = o.call ?? o
+                call.bytes += size
+                if (data.type == RPC_TYPE_CALLBACK) {
+                    call.callbacks++
+                }
+                if (data.type == RPC_TYPE_RETURN || data.type == RPC_TYPE_ERROR) {
+                    o.trailers = data.header?.trailers
+                }
+                if (data.type == RPC_TYPE_ERROR) {
+                    let error = data.data
+                    let remoteError = deserializeRpcError(error, errorClasses)
+                    remoteErrors.add(remoteError)
+                    o.promise.reject(remoteError)
+                }
+                if (data.type == RPC_TYPE_RETURN) {
+                    callbackFunctionMap.delete(data.id)
+                    o.promise.resolve(data.header?.stream ? createResultStream(data.id, o.ended) : data.data)
+                }
+                if (data.type == RPC_TYPE_CALLBACK) {
+                    let args = items.map((/** @type {{ data: any; }} */ o) => o.data)
+                    o.callback.apply(o, args)
+                }
+            }
+        } catch (error) {
+            console.error('apiInvoke', error)
+            rejectCall(data.id, error)
+        }
+    }
+
+    /**
+     * Fails only the call a frame that could not be handled belongs to.
+     * @param {number} id of the call or of one of its callbacks
+     * @param {any} error
+     */
+    function rejectCall(id, error) {
+        let o = callbackFunctionMap.get(id)
+        let call = o?.call ?? o
+        call?.promise?.reject(error)
+        endRemoteStream(streams, id, error)
+    }
+
+    const callMiddleware = param.tracer ? [createClientTracingMiddleware(param.tracer), ...param.callMiddleware ?? []] : param.callMiddleware
+    const invoke = composeRpcMiddleware(callMiddleware, async (/** @type {RPC_INVOKE_CONTEXT} */ ctx) => {
+        ctx.result = await call(ctx.method, ctx.args, ctx)
+    })
 
     /**
      * @param {string} fnName
      * @param {object[]} args
      */
     async function apiInvoke(fnName, args) {
-        let id = uniqueKeyID++
-        let promise = Promise_withResolvers()
-        callbackFunctionMap.set(id, { id, type: RPC_TYPE_RETURN, promise })
-        const keys = []
-        /** @type{object[]} */
-        let argArray = []
-        argArray.push(fnName)
+        /** @type{RpcCallOptions} */
+        let options = args.find((o) => o instanceof RpcCallOptions)
+        let metadata = typeof param.metadata == 'function' ? await param.metadata() : param.metadata
+        /** @type{RPC_INVOKE_CONTEXT} */
+        let ctx = { method: fnName, args, metadata: { ...metadata, ...options?.metadata }, trailers: {}, result: undefined }
+        try {
+            await invoke(ctx)
+            return ctx.result
+        } finally {
+            if (options) {
+                options.trailers = ctx.trailers
+            }
+        }
+    }
+
+    /**
+     * @param {string} fnName
+     * @param {object[]} args
+     * @param {RPC_INVOKE_CONTEXT} ctx its `metadata` is sent, its `trailers` are set from the answer
+     */
+    async function call(fnName, args, ctx) {
+        // every argument is checked before anything of the call is registered
         for (const arg of args) {
-            if (arg instanceof Function) {
+            if (arg instanceof AbortSignal) {
+                arg.throwIfAborted()
+            } else if (arg instanceof Function) {
                 const isAsyncFunction = arg.constructor?.name === 'AsyncFunction'
                 if (!isAsyncFunction) {
                     const receivedType = arg.constructor?.name || 'regular function'
@@ -620,23 +2528,114 @@ export function createRpcClientHelper(param) {
                         'Ensure the callback is declared with "async function" or an arrow function using "async".'
                     )
                 }
+            } else if (isRpcStream(arg) && param.flowControl === false) {
+                throw new Error(`rpc call ${fnName}: stream arguments need a transport that keeps a connection open`)
+            }
+        }
+        let id = uniqueKeyID++
+        let time = Date.now()
+        let requestBytes = 0
+        /** @type{any} */
+        let failure = null
+        let promise = Promise_withResolvers()
+        /** @type{CALLBACK_ITEM} */
+        let item = { id, type: RPC_TYPE_RETURN, promise, bytes: 0, callbacks: 0 }
+        callbackFunctionMap.set(id, item)
+        const keys = []
+        /** @type{AbortSignal[]} */
+        const signals = []
+        /** @type{Map<number,AsyncIterable<any>|ReadableStream<any>>} */
+        const sources = new Map()
+        let timeout = param.timeout
+        /** @type{object[]} */
+        let argArray = []
+        argArray.push(fnName)
+        const cancel = (/** @type {any} */ reason) => {
+            promise.reject(reason)
+            endRemoteStream(streams, id, reason)
+            /** @type{RPC_DATA} */
+            let box = { id: id, type: RPC_TYPE_CANCEL, data: null }
+            writer.write(buildRpcData(box)).catch(console.error)
+        }
+        const onabort = (/** @type {Event} */ event) => {
+            /** @type{AbortSignal} */
+            let signal = /** @type{any} */(event.target)
+            cancel(signal.reason)
+        }
+        // the signals also cancel a streamed result until it ends
+        item.ended = () => {
+            for (const signal of signals) {
+                signal.removeEventListener('abort', onabort)
+            }
+        }
+        for (const arg of args) {
+            if (arg instanceof RpcCallOptions) {
+                timeout = arg.timeout ?? timeout
+            } else if (arg instanceof AbortSignal) {
+                signals.push(arg)
+                arg.addEventListener('abort', onabort, { once: true })
+                argArray.push(arg)
+            } else if (arg instanceof Function) {
                 const key = uniqueKeyID++
                 keys.push(key)
-                callbackFunctionMap.set(key, { id: key, type: RPC_TYPE_CALLBACK, callback: arg })
+                callbackFunctionMap.set(key, { id: key, type: RPC_TYPE_CALLBACK, callback: arg, call: item })
                 argArray.push(() => key)
+            } else if (isRpcStream(arg)) {
+                const key = uniqueKeyID++
+                sources.set(key, arg)
+                argArray.push(new RpcStreamArgument(key))
             } else {
                 argArray.push(arg)
             }
         }
+        let timer = null
+        if (timeout > 0) {
+            timer = setTimeout(() => {
+                cancel(new DOMException(`rpc call ${fnName} timed out after ${timeout}ms`, 'TimeoutError'))
+            }, timeout)
+        }
         try {
             /** @type{RPC_DATA} */
             let box = { id: id, type: RPC_TYPE_CALL, data: buildRpcItemData(argArray) }
-            await writer.write(buildRpcData(box))
+            if (timeout > 0) {
+                box.header = { timeout }
+            }
+            if (param.flowControl === false) {
+                box.header = { ...box.header, credit: Infinity }
+            }
+            if (Object.keys(ctx.metadata).length > 0) {
+                box.header = { ...box.header, metadata: ctx.metadata }
+            }
+            for (const [key, source] of sources) {
+                sendArgumentStream(key, source)
+            }
+            let frame = buildRpcData(box)
+            requestBytes = frame.length
+            emitRpcEvent(param.onEvent, { type: 'call-start', side: 'client', id, method: fnName, queuedFrames: countQueuedFrames(writer) })
+            await writer.write(frame)
             return await promise.promise
+        } catch (error) {
+            failure = error
+            for (const key of sources.keys()) {
+                uploads.get(key)?.abort()
+            }
+            throw error
         } finally {
+            ctx.trailers = item.trailers ?? {}
+            if (requestBytes > 0) {
+                emitRpcEvent(param.onEvent, {
+                    type: 'call-end', side: 'client', id, method: fnName, duration: Date.now() - time, requestBytes,
+                    responseBytes: item.bytes, callbacks: item.callbacks, ...describeRpcFailure(failure), queuedFrames: countQueuedFrames(writer),
+                })
+            }
+            clearTimeout(timer)
+            callbackFunctionMap.delete(id)
             for (const key of keys) {
                 callbackFunctionMap.delete(key)
             }
+            if (!streams.has(id)) {
+                item.ended()
+            }
         }
     }
 
@@ -648,11 +2647,19 @@ export function createRpcClientHelper(param) {
             o.promise?.reject(error)
         })
         callbackFunctionMap.clear()
+        streams.forEach((o) => {
+            o.controller.error(error)
+            o.arrived()
+            o.ended?.()
+        })
+        streams.clear()
+        uploads.forEach((o) => {
+            o.abort()
+        })
+        uploads.clear()
     }
 
-    /** @type{RPC_HELPER_CLIENT} */
-    let ret = { writable: decode.writable, readable: encode.readable, apiInvoke, reject }
-    return ret
+    return { apiInvoke, reject, receive }
 }
 
 /**
@@ -660,11 +2667,30 @@ export function createRpcClientHelper(param) {
  * url:string;
  * rpcKey:string;
  * signal:AbortSignal;
+ * timeout?:number;
  * intercept?:(e:CloseEvent)=>void;
- * }} param
+ * extension?: object;
+ * logger?:(msg:string)=>void;
+ * errorClasses?: (new (...args:any[]) => Error)[];
+ * handshake?: RPC_HANDSHAKE_OPTIONS;
+ * middleware?: RPC_MIDDLEWARE<RPC_CALL_CONTEXT>[];
+ * services?: Map<string,object>;
+ * schemas?: Record<string,RPC_METHOD_SCHEMA>;
+ * callMiddleware?: RPC_MIDDLEWARE<RPC_INVOKE_CONTEXT>[];
+ * metadata?: RPC_CLIENT_METADATA;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
+ * }} param every connection with a `rpcKey` runs a key exchange, see `getRpcConnectionHandshake`,
+ * `handshake` adds the `serverKey` of the server. `logger` also gets the messages of the connections,
+ * which go to `console.info` without it
  */
 export function createRpcClientWebSocket(param) {
-    let helper = createRpcClientHelper({ rpcKey: param.rpcKey })
+    const info = param.logger ?? console.info
+    const handshake = getRpcConnectionHandshake(param.rpcKey, param.handshake)
+    let helper = createRpcClientHelper({
+        rpcKey: handshake ? '' : param.rpcKey, timeout: param.timeout, extension: param.extension, logger: param.logger, errorClasses: param.errorClasses,
+        middleware: param.middleware, services: param.services, schemas: param.schemas, callMiddleware: param.callMiddleware, metadata: param.metadata, tracer: param.tracer, onEvent: param.onEvent,
+    })
     let writer = helper.writable.getWriter()
     let signal = Promise_withResolvers()
     /** @type{WritableStreamDefaultWriter<Uint8Array<ArrayBuffer>>} */
@@ -675,23 +2701,47 @@ export function createRpcClientWebSocket(param) {
                 await signal.promise
             }
             if (!param.signal.aborted) {
-                await socketWriter.write(chunk)
+                await socketWriter.write(chunk).catch((e) => {
+                    helper.reject(e)
+                })
             }
         }
     }))
     async function createWebSocket() {
         let promise = Promise_withResolvers()
         let ws = new WebSocket(param.url)
+        let opened = false
         ws.addEventListener('open', () => {
-            console.info('createRpcClientWebSocket createWebSocket ws on open')
-            socketWriter = new WritableStream({
+            info('createRpcClientWebSocket createWebSocket ws on open')
+            opened = true
+            emitRpcEvent(param.onEvent, { type: 'connection-open', side: 'client', active: 1 })
+            /** @type{WritableStream<Uint8Array<ArrayBuffer>>} */
+            let send = new WritableStream({
                 async write(chunk) {
                     ws.send(chunk)
                 }
-            }).getWriter()
+            })
+            let receiveWriter = writer
+            if (handshake) {
+                let streams = createRpcHandshakeStreams(param.rpcKey, 'client', handshake)
+                const fail = (/** @type {any} */ e) => {
+                    console.error('createRpcClientWebSocket handshake error', e)
+                    helper.reject(e)
+                    ws.close()
+                }
+                streams.encode.readable.pipeTo(send).catch(fail)
+                streams.decode.readable.pipeTo(new WritableStream({
+                    async write(chunk) {
+                        await writer.write(chunk)
+                    }
+                })).catch(fail)
+                send = streams.encode.writable
+                receiveWriter = streams.decode.writable.getWriter()
+            }
+            socketWriter = send.getWriter()
             ws.addEventListener('message', async (ev) => {
                 let buffer = await ev.data.arrayBuffer()
-                await writer.write(new Uint8Array(buffer))
+                await receiveWriter.write(new Uint8Array(buffer)).catch(() => { })
             })
             signal.resolve()
         })
@@ -710,12 +2760,15 @@ export function createRpcClientWebSocket(param) {
         param.signal.addEventListener('abort', listenerAC)
         await promise.promise
         param.signal.removeEventListener('abort', listenerAC)
+        if (opened) {
+            emitRpcEvent(param.onEvent, { type: 'connection-close', side: 'client', active: 0 })
+        }
         socketWriter = null
         signal.resolve()
         signal = Promise_withResolvers()
     }
     timeWaitRetryLoop(param.signal, async () => {
-        console.info('createRpcClientWebSocket timeWaitRetryLoop connectWebSocket')
+        info('createRpcClientWebSocket timeWaitRetryLoop connectWebSocket')
         await createWebSocket()
     })
 
@@ -727,37 +2780,411 @@ export function createRpcClientWebSocket(param) {
  * url:string;
  * rpcKey?:string;
  * signal?:AbortSignal;
+ * timeout?:number;
  * intercept?:(res:Response)=>void;
- * }} param
+ * errorClasses?: (new (...args:any[]) => Error)[];
+ * handshake?: RPC_HANDSHAKE_OPTIONS;
+ * callMiddleware?: RPC_MIDDLEWARE<RPC_INVOKE_CONTEXT>[];
+ * metadata?: RPC_CLIENT_METADATA;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
+ * batch?: false|{ wait?: number; maxBytes?: number; };
+ * }} param `handshake` runs a key exchange in a first request, the later requests send the session
+ * id the server answered with in the `x-rpc-session` header.
+ * `batch` sends the frames written within `wait` milliseconds of the first one in a single request,
+ * 0 by default which batches the calls of the same tick, a batch reaching `maxBytes` (1 MiB by
+ * default) is sent at once. `false` sends every frame in its own request
  */
 export function createRpcClientHttp(param) {
-    let helper = createRpcClientHelper({ rpcKey: param.rpcKey })
+    let session = param.handshake ? handshakeRpcClientHttp(param) : null
+    let helper = createRpcClientHelper({
+        rpcKey: param.rpcKey, timeout: param.timeout, errorClasses: param.errorClasses, flowControl: false,
+        cryptoKey: session?.then((o) => o.key), callMiddleware: param.callMiddleware, metadata: param.metadata, tracer: param.tracer, onEvent: param.onEvent,
+    })
     let writer = helper.writable.getWriter()
+    const batch = param.batch === false ? null : { wait: param.batch?.wait ?? 0, maxBytes: param.batch?.maxBytes ?? 1024 * 1024 }
+    /** @type{Uint8Array<ArrayBuffer>[]} */
+    let frames = []
+    let bytes = 0
+    let timer = null
+    /** @param {Uint8Array<ArrayBuffer>} body */
+    async function post(body) {
+        /** @type{Record<string,string>} */
+        let headers = {}
+        if (session) {
+            headers['x-rpc-session'] = (await session).id
+        }
+        let res = await fetch(param.url, {
+            method: 'POST',
+            signal: param.signal,
+            headers,
+            body,
+        })
+        if (param.intercept) {
+            param.intercept(res)
+        }
+        if (!res.ok) {
+            throw new Error(`rpc http request failed: ${res.status}`)
+        }
+        res.body.pipeThrough(processPackets()).pipeTo(new WritableStream({
+            async write(chunk) {
+                await writer.write(chunk)
+            }
+        })).catch((e) => {
+            helper.reject(e)
+        })
+    }
+    function flush() {
+        clearTimeout(timer)
+        timer = null
+        let body = Uint8Array_concat(frames)
+        frames = []
+        bytes = 0
+        post(body).catch((e) => helper.reject(e))
+    }
     helper.readable.pipeTo(new WritableStream({
-        write(chunk) {
-            fetch(param.url, {
+        async write(chunk) {
+            if (!batch) {
+                post(chunk).catch((e) => helper.reject(e))
+                return
+            }
+            frames.push(chunk)
+            bytes += chunk.length
+            if (bytes >= batch.maxBytes) {
+                flush()
+            } else if (!timer) {
+                timer = setTimeout(flush, batch.wait)
+            }
+        }
+    })).catch((err) => helper.reject(err))
+    return createRPCProxy(helper.apiInvoke)
+}
+
+/**
+ * Sends all calls over one long-lived POST, whose body streams the frames to the server while its
+ * response streams the answers back, for networks where proxies block WebSocket upgrades. It
+ * reconnects like `createRpcClientWebSocket` when the request ends. Runtimes need streaming
+ * request bodies that can be read from before they end, like node, Deno and Bun, browsers only
+ * answer once the body ends.
+ * @param {{
+ * url:string;
+ * rpcKey?:string;
+ * signal:AbortSignal;
+ * timeout?:number;
+ * intercept?:(res:Response)=>void;
+ * errorClasses?: (new (...args:any[]) => Error)[];
+ * handshake?: RPC_HANDSHAKE_OPTIONS;
+ * callMiddleware?: RPC_MIDDLEWARE<RPC_INVOKE_CONTEXT>[];
+ * metadata?: RPC_CLIENT_METADATA;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
+ * }} param `handshake` runs a key exchange on every connection, see `createRpcHandshakeStreams`
+ */
+export function createRpcClientHttpStream(param) {
+    let helper = createRpcClientHelper({
+        rpcKey: '', timeout: param.timeout, errorClasses: param.errorClasses,
+        callMiddleware: param.callMiddleware, metadata: param.metadata, tracer: param.tracer, onEvent: param.onEvent,
+    })
+    let writer = helper.writable.getWriter()
+    let signal = Promise_withResolvers()
+    /** @type{WritableStreamDefaultWriter<Uint8Array<ArrayBuffer>>} */
+    let requestWriter = null
+    helper.readable.pipeTo(new WritableStream({
+        async write(chunk) {
+            while (!param.signal.aborted && requestWriter == null) {
+                await signal.promise
+            }
+            if (!param.signal.aborted) {
+                await requestWriter.write(chunk).catch((e) => {
+                    helper.reject(e)
+                })
+            }
+        }
+    }))
+    async function createRequest() {
+        let ac = new AbortController()
+        const listenerAC = () => { ac.abort() }
+        param.signal.addEventListener('abort', listenerAC)
+        /** @type{TransformStream<Uint8Array<ArrayBuffer>,Uint8Array<ArrayBuffer>>} */
+        let body = new TransformStream()
+        // a frame cut off when the request ends stays with its streams and never reaches the helper
+        let streams = param.handshake ? createRpcHandshakeStreams(param.rpcKey, 'client', param.handshake) : createRpcFrameStreams(param.rpcKey, 'client')
+        /** @type{any} the calls fail with it, e.g. a handshake with the wrong `serverKey` */
+        let failure = null
+        const fail = (/** @type {any} */ e) => {
+            failure ??= e
+            ac.abort()
+        }
+        streams.encode.readable.pipeTo(body.writable).catch(fail)
+        streams.decode.readable.pipeTo(new WritableStream({
+            async write(chunk) {
+                await writer.write(chunk)
+            }
+        })).catch(fail)
+        // frames are taken before the response arrives, the request goes out with the first of them
+        requestWriter = streams.encode.writable.getWriter()
+        signal.resolve()
+        let opened = false
+        try {
+            let res = await fetch(param.url, {
                 method: 'POST',
-                signal: param.signal,
-                body: chunk,
-            }).then(res => {
-                if (param.intercept) {
-                    param.intercept(res)
-                }
-                res.body.pipeThrough(processPackets()).pipeTo(new WritableStream({
-                    async write(chunk) {
-                        await writer.write(chunk)
-                    }
-                })).catch((e) => {
+                signal: ac.signal,
+                headers: { 'x-rpc-stream': '1', 'Content-Type': 'application/octet-stream' },
+                body: body.readable,
+                // @ts-ignore
+                duplex: 'half',
+            })
+            if (param.intercept) {
+                param.intercept(res)
+            }
+            if (!res.ok) {
+                throw new Error(`rpc http stream failed: ${res.status}`)
+            }
+            console.info('createRpcClientHttpStream createRequest open')
+            opened = true
+            emitRpcEvent(param.onEvent, { type: 'connection-open', side: 'client', active: 1 })
+            await res.body.pipeTo(streams.decode.writable)
+        } catch (error) {
+            console.error('createRpcClientHttpStream createRequest error', failure ?? error)
+        } finally {
+            param.signal.removeEventListener('abort', listenerAC)
+            ac.abort()
+            console.info('createRpcClientHttpStream createRequest close')
+            if (opened) {
+                emitRpcEvent(param.onEvent, { type: 'connection-close', side: 'client', active: 0 })
+                // the answers of the calls sent on this request are lost with it
+                helper.reject(failure ?? new Error('rpc connection closed'))
+            }
+            requestWriter.abort().catch(() => { })
+            requestWriter = null
+            signal.resolve()
+            signal = Promise_withResolvers()
+        }
+    }
+    timeWaitRetryLoop(param.signal, async () => {
+        console.info('createRpcClientHttpStream timeWaitRetryLoop createRequest')
+        await createRequest()
+    })
+
+    return createRPCProxy(helper.apiInvoke)
+}
+
+/**
+ * Receives the answers as server-sent events of a GET and sends the calls with plain POSTs that
+ * name its session, for networks that pass neither WebSockets nor streaming request bodies. The
+ * POSTs are sent one after another so the frames arrive in order, the frames written meanwhile go
+ * together in the next one. It reconnects like `createRpcClientWebSocket` when the events end.
+ * @param {{
+ * url:string;
+ * rpcKey?:string;
+ * signal:AbortSignal;
+ * timeout?:number;
+ * intercept?:(res:Response)=>void;
+ * errorClasses?: (new (...args:any[]) => Error)[];
+ * handshake?: RPC_HANDSHAKE_OPTIONS;
+ * callMiddleware?: RPC_MIDDLEWARE<RPC_INVOKE_CONTEXT>[];
+ * metadata?: RPC_CLIENT_METADATA;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
+ * }} param `handshake` runs a key exchange on every connection, see `createRpcHandshakeStreams`
+ */
+export function createRpcClientEventSource(param) {
+    let helper = createRpcClientHelper({
+        rpcKey: param.handshake ? '' : param.rpcKey, timeout: param.timeout, errorClasses: param.errorClasses,
+        callMiddleware: param.callMiddleware, metadata: param.metadata, tracer: param.tracer, onEvent: param.onEvent,
+    })
+    let writer = helper.writable.getWriter()
+    let signal = Promise_withResolvers()
+    /** @type{WritableStreamDefaultWriter<Uint8Array<ArrayBuffer>>} */
+    let sendWriter = null
+    helper.readable.pipeTo(new WritableStream({
+        async write(chunk) {
+            while (!param.signal.aborted && sendWriter == null) {
+                await signal.promise
+            }
+            if (!param.signal.aborted) {
+                await sendWriter.write(chunk).catch((e) => {
                     helper.reject(e)
                 })
-            }).catch(e => {
-                helper.reject(e)
+            }
+        }
+    }))
+    /**
+     * @param {string} id
+     * @param {AbortController} ac
+     * @returns {WritableStream<Uint8Array<ArrayBuffer>>}
+     */
+    function createSender(id, ac) {
+        /** @type{Uint8Array<ArrayBuffer>[]} */
+        let frames = []
+        let posting = false
+        async function post() {
+            posting = true
+            try {
+                while (frames.length) {
+                    let body = Uint8Array_concat(frames)
+                    frames = []
+                    let res = await fetch(param.url, {
+                        method: 'POST',
+                        signal: ac.signal,
+                        headers: { 'x-rpc-event-stream': id },
+                        body,
+                    })
+                    if (!res.ok) {
+                        throw new Error(`rpc event stream post failed: ${res.status}`)
+                    }
+                }
+            } catch (error) {
+                console.error('createRpcClientEventSource post error', error)
+                frames = []
+                helper.reject(error)
+                ac.abort()
+            } finally {
+                posting = false
+            }
+        }
+        return new WritableStream({
+            write(chunk) {
+                frames.push(chunk)
+                if (!posting) {
+                    post()
+                }
+            }
+        })
+    }
+    async function createEventSource() {
+        let ac = new AbortController()
+        const listenerAC = () => { ac.abort() }
+        param.signal.addEventListener('abort', listenerAC)
+        let opened = false
+        try {
+            let res = await fetch(param.url, {
+                signal: ac.signal,
+                headers: { 'Accept': 'text/event-stream' },
+                cache: 'no-store',
             })
+            if (param.intercept) {
+                param.intercept(res)
+            }
+            if (!res.ok) {
+                throw new Error(`rpc event stream failed: ${res.status}`)
+            }
+            console.info('createRpcClientEventSource createEventSource open')
+            opened = true
+            emitRpcEvent(param.onEvent, { type: 'connection-open', side: 'client', active: 1 })
+            /** @type{WritableStreamDefaultWriter<Uint8Array<ArrayBuffer>>} */
+            let receiveWriter = null
+            let events = res.body.pipeThrough(new TextDecoderStream()).pipeThrough(createServerSentEventStream()).getReader()
+            while (true) {
+                let { done, value } = await events.read()
+                if (done) {
+                    break
+                }
+                if (value.event == 'session') {
+                    let send = createSender(value.data, ac)
+                    /** @type{WritableStream<Uint8Array<ArrayBuffer>>} */
+                    let receive = new WritableStream({
+                        async write(chunk) {
+                            await writer.write(chunk)
+                        }
+                    })
+                    if (param.handshake) {
+                        let streams = createRpcHandshakeStreams(param.rpcKey, 'client', param.handshake)
+                        const fail = (/** @type {any} */ e) => {
+                            console.error('createRpcClientEventSource handshake error', e)
+                            helper.reject(e)
+                            ac.abort()
+                        }
+                        streams.encode.readable.pipeTo(send).catch(fail)
+                        streams.decode.readable.pipeTo(receive).catch(fail)
+                        send = streams.encode.writable
+                        receive = streams.decode.writable
+                    }
+                    receiveWriter = receive.getWriter()
+                    sendWriter = send.getWriter()
+                    signal.resolve()
+                } else if (receiveWriter) {
+                    await receiveWriter.write(base64decode(value.data))
+                }
+            }
+        } catch (error) {
+            console.error('createRpcClientEventSource createEventSource error', error)
+        } finally {
+            param.signal.removeEventListener('abort', listenerAC)
+            ac.abort()
+            console.info('createRpcClientEventSource createEventSource close')
+            if (opened) {
+                emitRpcEvent(param.onEvent, { type: 'connection-close', side: 'client', active: 0 })
+                // the answers of the calls sent in this session are lost with its events
+                helper.reject(new Error('rpc connection closed'))
+            }
+            sendWriter = null
+            signal.resolve()
+            signal = Promise_withResolvers()
         }
-    })).catch((err) => helper.reject(err))
+    }
+    timeWaitRetryLoop(param.signal, async () => {
+        console.info('createRpcClientEventSource timeWaitRetryLoop createEventSource')
+        await createEventSource()
+    })
+
     return createRPCProxy(helper.apiInvoke)
 }
 
+/**
+ * Parses the text of a `text/event-stream` into its events, `event` is 'message' when unnamed.
+ * @returns {TransformStream<string,{event:string;data:string;}>}
+ */
+function createServerSentEventStream() {
+    let buffer = ''
+    let event = ''
+    /** @type{string[]} */
+    let data = []
+    return new TransformStream({
+        transform(text, controller) {
+            let lines = (buffer + text).split(/\r\n|\r|\n/)
+            buffer = lines.pop()
+            for (const line of lines) {
+                if (line == '') {
+                    if (data.length) {
+                        controller.enqueue({ event: event || 'message', data: data.join('\n') })
+                    }
+                    event = ''
+                    data = []
+                } else if (!line.startsWith(':')) {
+                    let index = line.indexOf(':')
+                    let field = index < 0 ? line : line.slice(0, index)
+                    let value = index < 0 ? '' : line.slice(index + 1).replace(/^ /, '')
+                    if (field == 'event') {
+                        event = value
+                    } else if (field == 'data') {
+                        data.push(value)
+                    }
+                }
+            }
+        }
+    })
+}
+
+/**
+ * @param {{ url:string; rpcKey?:string; signal?:AbortSignal; handshake?: RPC_HANDSHAKE_OPTIONS; }} param
+ * @returns {Promise<{id:string;key:CryptoKey;}>}
+ */
+async function handshakeRpcClientHttp(param) {
+    let handshake = createRpcHandshake(param.rpcKey, 'client', param.handshake)
+    let res = await fetch(param.url, {
+        method: 'POST',
+        signal: param.signal,
+        headers: { 'x-rpc-handshake': '1' },
+        body: await handshake.hello(),
+    })
+    if (!res.ok) {
+        throw new Error(`rpc handshake failed: ${res.status}`)
+    }
+    await handshake.receive(new Uint8Array(await res.arrayBuffer()))
+    return { id: res.headers.get('x-rpc-session'), key: await handshake.key }
+}
+
 /**
  * @param {{
  * url:string;
@@ -803,28 +3230,362 @@ export function _testCreateRpcClientHttp(param) {
     return createRPCProxy(helper.apiInvoke)
 }
 
+/** a handshake session of the HTTP servers is forgotten after this long without requests */
+export const RPC_HTTP_SESSION_TIMEOUT = 30 * 60 * 1000
+
+/** comments sent on an idle event stream of `createRpcHttpHandler`, so proxies keep it open */
+const RPC_EVENT_STREAM_HEARTBEAT = 15_000
+
+/**
+ * @typedef {{
+ * method: string;
+ * header: (name:string)=>string;
+ * body: ReadableStream<Uint8Array>;
+ * request: any;
+ * store: any;
+ * }} RPC_HTTP_REQUEST `request` is passed to `resolveKey`, `store` is entered into the
+ * `asyncLocalStorage` of the extension while the calls of the request run
+ */
+
+/**
+ * @typedef {{
+ * status: number;
+ * headers: Record<string,string>;
+ * body: ReadableStream<Uint8Array<ArrayBuffer>>|Uint8Array<ArrayBuffer>|null;
+ * }} RPC_HTTP_RESPONSE
+ */
+
+/**
+ * The HTTP endpoint behind the server adapters: a POST carries the frames of calls and its
+ * response the answers, see `createRpcClientHttp`. Adapters turn their requests into
+ * `RPC_HTTP_REQUEST`s and send the `RPC_HTTP_RESPONSE`.
+ * @param {{
+ * rpcKey?:string;
+ * resolveKey?:(request:any)=>string|Promise<string>;
+ * extension: object;
+ * logger?:(msg:string)=>void;
+ * allowMethods?:string[];
+ * denyMethods?:string[];
+ * stripErrorStack?:boolean;
+ * handshake?: RPC_HANDSHAKE_OPTIONS;
+ * middleware?: RPC_MIDDLEWARE<RPC_CALL_CONTEXT>[];
+ * services?: Map<string,object>;
+ * schemas?: Record<string,RPC_METHOD_SCHEMA>;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
+ * }} param `handshake` requires a key exchange before the calls, a request with the `x-rpc-handshake`
+ * header gets the hello of the server and a session id, the calls then name it in `x-rpc-session`.
+ * `resolveKey` picks the `rpcKey` of every request, requests it returns null for get a 401.
+ * Every request counts as a connection for `onEvent`. A request with the `x-rpc-stream` header is
+ * a connection of `createRpcClientHttpStream`, it is answered before its body ends. A GET accepting
+ * `text/event-stream` is a connection of `createRpcClientEventSource`, its answers are events and
+ * the POSTs naming it in `x-rpc-event-stream` carry its calls. Other methods get a 405
+ * @returns {(request:RPC_HTTP_REQUEST)=>Promise<RPC_HTTP_RESPONSE>}
+ */
+export function createRpcHttpHandler(param) {
+    /** @type{{enterWith?:(store:any)=>void}} */
+    const asyncLocalStorage = /** @type{any} */(param.extension).asyncLocalStorage
+    let active = 0
+    // every request has its own helper, the replay protection has to know the frames of them all,
+    // kept for each key so that a client can not disturb the replay state of other keys, and
+    // forgotten like a session once no request used the key for a while, e.g. after it was revoked
+    /** @type{Map<string,{senders:Map<any,any>;active:number;time:number;}>} */
+    const sendersOfKeys = new Map()
+    /** @type{Map<string,{rpcKey:string;key:Promise<CryptoKey>;senders:Map<any,any>;time:number;}>} */
+    const sessions = new Map()
+    /** @type{Map<string,{rpcKey:string;writer:WritableStreamDefaultWriter<Uint8Array<ArrayBuffer>>;store:any;}>} */
+    const eventStreams = new Map()
+
+    /**
+     * The replay state of a key for a request, `releaseSenders` it when the request ends.
+     * @param {string} rpcKey
+     */
+    function acquireSenders(rpcKey) {
+        let o = sendersOfKeys.get(rpcKey)
+        if (!o) {
+            o = { senders: new Map(), active: 0, time: 0 }
+            sendersOfKeys.set(rpcKey, o)
+        }
+        o.active++
+        o.time = Date.now()
+        return o
+    }
+
+    /** @param {{active:number;time:number;}} o */
+    function releaseSenders(o) {
+        o.active--
+        o.time = Date.now()
+    }
+
+    function prune() {
+        let now = Date.now()
+        for (const [id, o] of sessions) {
+            if (now - o.time > RPC_HTTP_SESSION_TIMEOUT) {
+                sessions.delete(id)
+            }
+        }
+        for (const [rpcKey, o] of sendersOfKeys) {
+            if (o.active == 0 && now - o.time > RPC_HTTP_SESSION_TIMEOUT) {
+                sendersOfKeys.delete(rpcKey)
+            }
+        }
+    }
+
+    /**
+     * The answers of the connection are `data` events of base64 frames, after a `session` event
+     * with the id its POSTs name.
+     * @param {string} rpcKey
+     * @param {RPC_HTTP_REQUEST} request
+     * @returns {RPC_HTTP_RESPONSE}
+     */
+    function openEventStream(rpcKey, request) {
+        let id = guid()
+        asyncLocalStorage?.enterWith?.(request.store)
+        let keySenders = param.handshake ? null : acquireSenders(rpcKey)
+        let helper = createRpcServerHelper({
+            rpcKey, extension: param.extension, async: true, logger: param.logger,
+            allowMethods: param.allowMethods, denyMethods: param.denyMethods, stripErrorStack: param.stripErrorStack,
+            ...(param.handshake ? { handshake: param.handshake } : { senders: keySenders.senders }),
+            middleware: param.middleware, services: param.services, schemas: param.schemas, tracer: param.tracer, onEvent: param.onEvent,
+        })
+        let writer = helper.writable.getWriter()
+        eventStreams.set(id, { rpcKey, writer, store: request.store })
+        emitRpcEvent(param.onEvent, { type: 'connection-open', side: 'server', active: ++active })
+        const encoder = new TextEncoder()
+        let reader = helper.readable.getReader()
+        let heartbeat = null
+        let closed = false
+        const close = () => {
+            if (!closed) {
+                closed = true
+                clearInterval(heartbeat)
+                eventStreams.delete(id)
+                if (keySenders) {
+                    releaseSenders(keySenders)
+                }
+                writer.abort().catch(() => { })
+                emitRpcEvent(param.onEvent, { type: 'connection-close', side: 'server', active: --active })
+            }
+        }
+        let body = new ReadableStream({
+            start(controller) {
+                controller.enqueue(encoder.encode(`event: session\ndata: ${id}\n\n`))
+                heartbeat = setInterval(() => {
+                    controller.enqueue(encoder.encode(': ping\n\n'))
+                }, RPC_EVENT_STREAM_HEARTBEAT)
+            },
+            async pull(controller) {
+                let { done, value } = await reader.read()
+                if (done) {
+                    close()
+                    controller.close()
+                } else {
+                    controller.enqueue(encoder.encode(`data: ${base64encode(value)}\n\n`))
+                }
+            },
+            async cancel(reason) {
+                close()
+                helper.reject(new Error('rpc connection closed'))
+                await reader.cancel(reason)
+            },
+        })
+        return { status: 200, headers: { 'Cache-Control': 'no-cache', 'Content-Type': 'text/event-stream', 'X-Accel-Buffering': 'no' }, body }
+    }
+
+    return async (request) => {
+        let eventStream = request.method == 'GET' && /\btext\/event-stream\b/.test(request.header('accept') ?? '')
+        if (request.method != 'POST' && !eventStream) {
+            return { status: 405, headers: { 'Allow': 'GET, POST' }, body: null }
+        }
+        prune()
+        let rpcKey = param.resolveKey ? await param.resolveKey(request.request) : param.rpcKey ?? ''
+        if (rpcKey == null) {
+            // the handshake session of a revoked key ends with it
+            sessions.delete(request.header('x-rpc-session'))
+            return { status: 401, headers: {}, body: null }
+        }
+        if (eventStream) {
+            return openEventStream(rpcKey, request)
+        }
+        let eventStreamId = request.header('x-rpc-event-stream')
+        if (eventStreamId) {
+            let target = eventStreams.get(eventStreamId)
+            if (!target) {
+                return { status: 404, headers: {}, body: null }
+            }
+            if (target.rpcKey !== rpcKey) {
+                return { status: 401, headers: {}, body: null }
+            }
+            let body = new Uint8Array(await new Response(request.body).arrayBuffer())
+            asyncLocalStorage?.enterWith?.(target.store)
+            await target.writer.write(body)
+            return { status: 202, headers: {}, body: null }
+        }
+        if (param.handshake && request.header('x-rpc-handshake')) {
+            let now = Date.now()
+            let handshake = createRpcHandshake(rpcKey, 'server', param.handshake)
+            try {
+                await handshake.receive(new Uint8Array(await new Response(request.body).arrayBuffer()))
+            } catch (error) {
+                console.error('createRpcHttpHandler handshake error', error)
+                return { status: 400, headers: {}, body: null }
+            }
+            let id = guid()
+            sessions.set(id, { rpcKey, key: handshake.key, senders: new Map(), time: now })
+            return { status: 200, headers: { 'x-rpc-session': id }, body: await handshake.hello() }
+        }
+        // a long-lived request of `createRpcClientHttpStream`, a handshake runs inside of it
+        let streaming = Boolean(request.header('x-rpc-stream'))
+        let session = sessions.get(request.header('x-rpc-session'))
+        if (param.handshake && !streaming && (!session || session.rpcKey !== rpcKey)) {
+            return { status: 401, headers: {}, body: null }
+        }
+        if (session) {
+            session.time = Date.now()
+        }
+        asyncLocalStorage?.enterWith?.(request.store)
+        let keySenders = session || (streaming && param.handshake) ? null : acquireSenders(rpcKey)
+        // the calls of a batch run side by side, their answers are sent as each of them completes
+        let helper = createRpcServerHelper({
+            rpcKey, extension: param.extension, async: true, logger: param.logger,
+            allowMethods: param.allowMethods, denyMethods: param.denyMethods, stripErrorStack: param.stripErrorStack,
+            ...(streaming && param.handshake ? { handshake: param.handshake } : { senders: session ? session.senders : keySenders.senders, cryptoKey: session?.key }),
+            middleware: param.middleware, services: param.services, schemas: param.schemas, tracer: param.tracer, onEvent: param.onEvent,
+        })
+        emitRpcEvent(param.onEvent, { type: 'connection-open', side: 'server', active: ++active })
+        let closed = false
+        const close = () => {
+            if (!closed) {
+                closed = true
+                if (keySenders) {
+                    releaseSenders(keySenders)
+                }
+                emitRpcEvent(param.onEvent, { type: 'connection-close', side: 'server', active: --active })
+            }
+        }
+        let received = request.body.pipeThrough(new TransformStream({
+            async transform(chunk, controller) {
+                asyncLocalStorage?.enterWith?.(request.store)
+                controller.enqueue(chunk)
+            }
+        })).pipeTo(helper.writable)
+        if (streaming) {
+            // answered at once, the frames of the request keep arriving while the answers are sent
+            received.catch((error) => {
+                console.error('createRpcHttpHandler stream closed', error)
+            })
+        } else {
+            try {
+                await received
+            } catch (error) {
+                close()
+                throw error
+            }
+        }
+        let reader = helper.readable.getReader()
+        // the connection ends once the answers are read or the response is abandoned
+        let body = new ReadableStream({
+            async pull(controller) {
+                let { done, value } = await reader.read()
+                if (done) {
+                    controller.close()
+                    close()
+                } else {
+                    controller.enqueue(value)
+                }
+            },
+            async cancel(reason) {
+                close()
+                helper.reject(new Error('rpc connection closed'))
+                await reader.cancel(reason)
+            },
+        })
+        return { status: 200, headers: { 'Cache-Control': 'no-cache', 'Content-Type': 'application/octet-stream' }, body }
+    }
+}
+
+/**
+ * A handler of the Fetch API for runtimes like Deno, Bun, Cloudflare workers or service workers,
+ * e.g. `Deno.serve(createRpcServerFetch({ rpcKey, extension }))`. It answers every POST and event
+ * stream GET it gets, other requests get a 405.
+ * @param {{
+ * rpcKey?:string;
+ * resolveKey?:(request:Request)=>string|Promise<string>;
+ * extension: object;
+ * logger?:(msg:string)=>void;
+ * allowMethods?:string[];
+ * denyMethods?:string[];
+ * stripErrorStack?:boolean;
+ * handshake?: RPC_HANDSHAKE_OPTIONS;
+ * middleware?: RPC_MIDDLEWARE<RPC_CALL_CONTEXT>[];
+ * services?: Map<string,object>;
+ * schemas?: Record<string,RPC_METHOD_SCHEMA>;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
+ * }} param see `createRpcHttpHandler`, the store of `extension.asyncLocalStorage` is `{ request }`,
+ * requests failing on the way in, e.g. with frames of another key, get a 500
+ * @returns {(request:Request)=>Promise<Response>}
+ */
+export function createRpcServerFetch(param) {
+    const handler = createRpcHttpHandler(param)
+    return async (request) => {
+        try {
+            let response = await handler({
+                method: request.method,
+                header: (name) => request.headers.get(name),
+                body: request.body ?? new ReadableStream({ start(controller) { controller.close() } }),
+                request,
+                store: { request },
+            })
+            return new Response(response.body, { status: response.status, headers: response.headers })
+        } catch (error) {
+            console.error('createRpcServerFetch error', error)
+            return new Response(null, { status: 500 })
+        }
+    }
+}
+
 /**
  * @param {{
  * port:MessagePort;
  * rpcKey:string;
  * extension: object;
  * logger?:(msg:string)=>void;
- * }} param 
+ * timeout?:number;
+ * allowMethods?:string[];
+ * denyMethods?:string[];
+ * stripErrorStack?:boolean;
+ * handshake?: RPC_HANDSHAKE_OPTIONS;
+ * middleware?: RPC_MIDDLEWARE<RPC_CALL_CONTEXT>[];
+ * services?: Map<string,object>;
+ * schemas?: Record<string,RPC_METHOD_SCHEMA>;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
+ * }} param `rpcKey` is only used to authenticate the `handshake`, the port itself is not encrypted
+ * without one
+ * @returns proxy of the extension registered by the client on the other side of the port
  */
 export function createRpcServerMessagePort(param) {
     const port = param.port
     let helper = createRpcServerHelper({
-        rpcKey: '', extension: param.extension, async: true, logger: param.logger,
+        rpcKey: param.handshake ? param.rpcKey : '', extension: param.extension, async: true, logger: param.logger, timeout: param.timeout,
+        allowMethods: param.allowMethods, denyMethods: param.denyMethods, stripErrorStack: param.stripErrorStack,
+        handshake: param.handshake, middleware: param.middleware, services: param.services, schemas: param.schemas, tracer: param.tracer, onEvent: param.onEvent,
     })
     let writer = helper.writable.getWriter()
     port.onmessage = async (event) => {
-        await writer.write(event.data)
+        await writer.write(event.data).catch((e) => {
+            console.error('createRpcServerMessagePort receive error', e)
+        })
     }
     helper.readable.pipeTo(new WritableStream({
         async write(chunk) {
             port.postMessage(chunk)
         }
-    }))
+    })).catch((e) => {
+        console.error('createRpcServerMessagePort send error', e)
+    })
+    return createRPCProxy(helper.apiInvoke)
 }
 
 /**
@@ -834,12 +3595,24 @@ export function createRpcServerMessagePort(param) {
  * rpcKey:string;
  * extension: object; 
  * logger?:(msg:string)=>void;
+ * timeout?:number;
+ * allowMethods?:string[];
+ * denyMethods?:string[];
+ * stripErrorStack?:boolean;
+ * middleware?: RPC_MIDDLEWARE<RPC_CALL_CONTEXT>[];
+ * services?: Map<string,object>;
+ * schemas?: Record<string,RPC_METHOD_SCHEMA>;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
  * }} param 
+ * @returns proxy of the extension registered by the renderer on the other side of the port
  */
 export function createRpcServerElectronMessagePort(param) {
     const port = param.port
     let helper = createRpcServerHelper({
-        rpcKey: '', extension: param.extension, async: true, logger: param.logger,
+        rpcKey: '', extension: param.extension, async: true, logger: param.logger, timeout: param.timeout,
+        allowMethods: param.allowMethods, denyMethods: param.denyMethods, stripErrorStack: param.stripErrorStack,
+        middleware: param.middleware, services: param.services, schemas: param.schemas, tracer: param.tracer, onEvent: param.onEvent,
     })
     let writer = helper.writable.getWriter()
     port.on('message', async (event) => {
@@ -850,24 +3623,44 @@ export function createRpcServerElectronMessagePort(param) {
             port.postMessage(chunk)
         }
     }))
+    return createRPCProxy(helper.apiInvoke)
 }
 
 /**
  * @param {{
  * port:MessagePort;
  * rpcKey:string;
+ * timeout?:number;
+ * extension?: object;
+ * logger?:(msg:string)=>void;
+ * errorClasses?: (new (...args:any[]) => Error)[];
+ * handshake?: RPC_HANDSHAKE_OPTIONS;
+ * middleware?: RPC_MIDDLEWARE<RPC_CALL_CONTEXT>[];
+ * services?: Map<string,object>;
+ * schemas?: Record<string,RPC_METHOD_SCHEMA>;
+ * callMiddleware?: RPC_MIDDLEWARE<RPC_INVOKE_CONTEXT>[];
+ * metadata?: RPC_CLIENT_METADATA;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
  * }} param
  */
 export function createRpcClientMessagePort(param) {
-    let helper = createRpcClientHelper({ rpcKey: param.rpcKey })
+    let helper = createRpcClientHelper({
+        rpcKey: param.rpcKey, timeout: param.timeout, extension: param.extension, logger: param.logger, errorClasses: param.errorClasses,
+        handshake: param.handshake, middleware: param.middleware, services: param.services, schemas: param.schemas, callMiddleware: param.callMiddleware, metadata: param.metadata, tracer: param.tracer, onEvent: param.onEvent,
+    })
     let writer = helper.writable.getWriter()
     helper.readable.pipeTo(new WritableStream({
         async write(chunk) {
             param.port.postMessage(chunk)
         }
-    }))
+    })).catch((e) => {
+        console.error('createRpcClientMessagePort send error', e)
+    })
     param.port.onmessage = async (event) => {
-        await writer.write(event.data)
+        await writer.write(event.data).catch((e) => {
+            console.error('createRpcClientMessagePort receive error', e)
+        })
     }
     return createRPCProxy(helper.apiInvoke)
 }
@@ -905,6 +3698,14 @@ export function base64encode(buffer) {
  * key: string;
  * extension: {messageSender:Chrome.runtime.MessageSender;};
  * logger?:(msg:string)=>void;
+ * allowMethods?:string[];
+ * denyMethods?:string[];
+ * stripErrorStack?:boolean;
+ * middleware?: RPC_MIDDLEWARE<RPC_CALL_CONTEXT>[];
+ * services?: Map<string,object>;
+ * schemas?: Record<string,RPC_METHOD_SCHEMA>;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
  * }} param 
  */
 export function createRpcServerChromeExtensions(param) {
@@ -917,6 +3718,8 @@ export function createRpcServerChromeExtensions(param) {
             let { keyServer, keyClient } = request.data
             let helper = createRpcServerHelper({
                 rpcKey: '', extension: param.extension, async: true, logger: param.logger,
+                allowMethods: param.allowMethods, denyMethods: param.denyMethods, stripErrorStack: param.stripErrorStack,
+                middleware: param.middleware, services: param.services, schemas: param.schemas, tracer: param.tracer, onEvent: param.onEvent,
             })
             let writer = helper.writable.getWriter()
             actionMap.set(keyServer, (/** @type {Uint8Array<ArrayBuffer>} */ data) => {
@@ -950,11 +3753,17 @@ export function createRpcServerChromeExtensions(param) {
  * chrome:Chrome;
  * key:string;
  * tabId?: number;
+ * timeout?:number;
+ * errorClasses?: (new (...args:any[]) => Error)[];
+ * callMiddleware?: RPC_MIDDLEWARE<RPC_INVOKE_CONTEXT>[];
+ * metadata?: RPC_CLIENT_METADATA;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
  * }} param
  */
 export function createRpcClientChromeExtensions(param) {
     const chrome = param.chrome
-    let helper = createRpcClientHelper({ rpcKey: '' })
+    let helper = createRpcClientHelper({ rpcKey: '', timeout: param.timeout, errorClasses: param.errorClasses, callMiddleware: param.callMiddleware, metadata: param.metadata, tracer: param.tracer, onEvent: param.onEvent })
     let writer = helper.writable.getWriter()
     !(async () => {
         let keyServer = guid()
@@ -996,26 +3805,67 @@ export function createRpcClientChromeExtensions(param) {
  * parentPort: MessagePort|NodeJSMessagePort;
  * extension: Object;
  * logger?:(msg:string)=>void;
+ * timeout?:number;
+ * allowMethods?:string[];
+ * denyMethods?:string[];
+ * stripErrorStack?:boolean;
+ * middleware?: RPC_MIDDLEWARE<RPC_CALL_CONTEXT>[];
+ * services?: Map<string,object>;
+ * schemas?: Record<string,RPC_METHOD_SCHEMA>;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
  * }} param 
+ * @returns proxy of the extension registered by the parent in `createRpcClientWorker`
  */
 export function createRpcServerWorker(param) {
     /** @type{any} */
     const parentPort = param.parentPort
+    let helper = createRpcServerHelper({
+        rpcKey: '', extension: param.extension, async: true, logger: param.logger, timeout: param.timeout,
+        allowMethods: param.allowMethods, denyMethods: param.denyMethods, stripErrorStack: param.stripErrorStack,
+        middleware: param.middleware, services: param.services, schemas: param.schemas, tracer: param.tracer, onEvent: param.onEvent,
+    })
+    let writer = helper.writable.getWriter()
+    /** @type{{promise:Promise<MessagePort>;resolve:(port:MessagePort)=>void}} */
+    let port = Promise_withResolvers()
     parentPort.onmessage = (/** @type {{ ports: [any]; }} */ event) => {
         parentPort.onmessage = null
-        let [port] = event.ports
-        createRpcServerMessagePort({ port, rpcKey: '', extension: param.extension, logger: param.logger })
+        let [channelPort] = event.ports
+        channelPort.onmessage = async (/** @type {MessageEvent} */ event) => {
+            await writer.write(event.data)
+        }
+        port.resolve(channelPort)
     }
+    helper.readable.pipeTo(new WritableStream({
+        async write(chunk) {
+            (await port.promise).postMessage(chunk)
+        }
+    }))
+    return createRPCProxy(helper.apiInvoke)
 }
 
 /**
  * @param {{
  * worker:Worker|NodeJSWorker;
+ * timeout?:number;
+ * extension?: object;
+ * logger?:(msg:string)=>void;
+ * errorClasses?: (new (...args:any[]) => Error)[];
+ * middleware?: RPC_MIDDLEWARE<RPC_CALL_CONTEXT>[];
+ * services?: Map<string,object>;
+ * schemas?: Record<string,RPC_METHOD_SCHEMA>;
+ * callMiddleware?: RPC_MIDDLEWARE<RPC_INVOKE_CONTEXT>[];
+ * metadata?: RPC_CLIENT_METADATA;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
  * }} param
  */
 export function createRpcClientWorker(param) {
     let channel = new MessageChannel()
-    const client = createRpcClientMessagePort({ port: channel.port1, rpcKey: '' })
+    const client = createRpcClientMessagePort({
+        port: channel.port1, rpcKey: '', timeout: param.timeout, extension: param.extension, logger: param.logger, errorClasses: param.errorClasses,
+        middleware: param.middleware, services: param.services, schemas: param.schemas, callMiddleware: param.callMiddleware, metadata: param.metadata, tracer: param.tracer, onEvent: param.onEvent,
+    })
     param.worker.postMessage(channel.port2, [/** @type{any} */(channel.port2)])
     return client
 }
@@ -1,16 +1,27 @@
 import { test } from 'node:test'
-import { deepStrictEqual, fail, ok, strictEqual } from 'node:assert'
-import { _testCreateRpcClientHttp, createRpcClientHttp, createRpcClientWorker, createRpcClientWebSocket, sleep, Uint8Array_from } from './lib.js'
+import { deepStrictEqual, fail, notDeepStrictEqual, ok, rejects, strictEqual } from 'node:assert'
+import { _testCreateRpcClientHttp, buildBufferData, buildKeyIv, buildRpcData, buildRpcKey, createDecodeStream, createRpcClientHelper, createEncodeStream, createRpcClientEventSource, createRpcClientHttp, createRpcClientHttpStream, createRpcClientMessagePort, createRpcClientWorker, createRpcClientWebSocket, createRpcMemoryTracer, createRpcOpenTelemetryTracer, createRpcServerFetch, createRpcServerMessagePort, encrypt, generateRpcServerKey, RPC_ERROR_CODE_INVALID_ARGUMENTS, RPC_ERROR_CODE_INVALID_RESULT, RPC_ERROR_CODE_METHOD_NOT_FOUND, RPC_DATA_ARG_TYPE_OTHERS, RPC_METHOD_DESCRIBE, RPC_TYPE_CALLBACK, RPC_TYPE_RETURN, RpcCallOptions, rpcSchema, RpcValidationError, rpcService, sleep, Uint8Array_from } from './lib.js'
 import { createServer } from 'node:http'
 import { WebSocketServer } from 'ws'
 import Koa from 'koa'
 import Router from '@koa/router'
-import { createRpcServerKoaRouter, createRpcServerWebSocket } from './server.js'
+import { createRpcServerKoaRouter, createRpcServerNodeHttp, createRpcServerWebSocket } from './server.js'
 import { AsyncLocalStorage } from 'node:async_hooks'
-import { Readable, Transform } from 'node:stream'
+import { PassThrough, Readable, Transform } from 'node:stream'
 import { pipeline } from 'node:stream/promises'
 import { Packr } from 'msgpackr'
 import { Worker } from 'node:worker_threads'
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { runRpcDeclarations } from './declarations.js'
+import { runRpcCli } from './cli.js'
+import { connect, createServer as createNetServer } from 'node:net'
+import { createRpcClientNet, createRpcServerNet } from './net.js'
+import { EventEmitter } from 'node:events'
+import { execFile } from 'node:child_process'
+import { fileURLToPath } from 'node:url'
+import { promisify } from 'node:util'
 
 /**
  * @import {ExtensionApi} from './test-worker.js'
@@ -397,7 +408,7 @@ test('error-stack', async () => {
         fail('boom')
     } catch (error) {
         console.error(error)
-        ok(error.cause.stack.includes('at RpcApi.hello'))
+        ok(error.stack.includes('at RpcApi.hello'))
     }
 
 })
@@ -601,4 +612,1928 @@ test('test-rpc-NodeJSWorker', async () => {
     console.info(await rpc.hello('123'))
     deepStrictEqual(await rpc.hello('123'), 'hello 123')
     await worker.terminate()
-})
\ No newline at end of file
+})
+
+test('peer-NodeJSWorker', async () => {
+    // node --test --test-name-pattern="^peer-NodeJSWorker$" src/lib.test.js
+    const worker = new Worker(new URL('./test-worker.js', import.meta.url))
+    /** @type{ExtensionApi} */
+    const rpc = createRpcClientWorker({
+        worker: worker,
+        extension: {
+            async confirm(/** @type {string} */ name) {
+                return `ok ${name}`
+            },
+        },
+    })
+    strictEqual(await rpc.askParent('123'), 'parent says ok 123')
+    await worker.terminate()
+})
+
+test('abort-signal', async () => {
+    // node --test-name-pattern="^abort-signal$" src/lib.test.js
+    let serverAborted = false
+    const extension = {
+        /**
+         * @param {string} name
+         * @param {AbortSignal} signal
+         */
+        async longJob(name, signal) {
+            while (!signal.aborted) {
+                await sleep(10)
+            }
+            serverAborted = true
+            return `stop ${name}`
+        },
+        /**
+         * @param {AbortSignal} signal
+         */
+        async quick(signal) {
+            return signal.aborted
+        },
+        /**
+         * @param {AbortSignal} _signal
+         */
+        async *ticks(_signal) {
+            try {
+                for (let i = 0; ; i++) {
+                    yield i
+                    await sleep(10)
+                }
+            } finally {
+                ticksEnded = true
+            }
+        },
+    }
+    let ticksEnded = false
+    const channel = new MessageChannel()
+    using s = new DisposableStack()
+    s.adopt(0, () => { channel.port1.close() })
+    createRpcServerMessagePort({ port: channel.port1, rpcKey: '', extension })
+    /** @type{typeof extension} */
+    const rpc = createRpcClientMessagePort({ port: channel.port2, rpcKey: '' })
+
+    strictEqual(await rpc.quick(new AbortController().signal), false)
+
+    let ac = new AbortController()
+    let promise = rpc.longJob('job', ac.signal)
+    await sleep(50)
+    ac.abort()
+    try {
+        await promise
+        fail('should be aborted')
+    } catch (error) {
+        strictEqual(error.cause.name, 'AbortError')
+    }
+    await sleep(50)
+    ok(serverAborted)
+
+    try {
+        await rpc.longJob('job', AbortSignal.abort())
+        fail('should be aborted')
+    } catch (error) {
+        strictEqual(error.cause.name, 'AbortError')
+    }
+
+    ac = new AbortController()
+    /** @type{ReadableStream<number>} */
+    let ticks = /** @type{any} */(await rpc.ticks(ac.signal))
+    let reader = ticks.getReader()
+    strictEqual((await reader.read()).value, 0)
+    ac.abort()
+    await rejects(reader.read(), (/** @type {any} */ error) => error.name == 'AbortError', 'the signal cancels a streamed result')
+    await sleep(50)
+    ok(ticksEnded)
+})
+
+test('invalid-arguments', async () => {
+    // node --test-name-pattern="^invalid-arguments$" src/lib.test.js
+    const helper = createRpcClientHelper({ rpcKey: '' })
+    const reader = helper.readable.getReader()
+    let ac = new AbortController()
+    await rejects(helper.apiInvoke('hello', [ac.signal, () => { }]), /AsyncFunction/)
+    ac.abort()
+    let frame = await Promise.race([reader.read(), sleep(100).then(() => 'none')])
+    strictEqual(frame, 'none', 'nothing is sent for a call that was refused')
+})
+
+test('bad-frame', async () => {
+    // node --test-name-pattern="^bad-frame$" src/lib.test.js
+    const helper = createRpcClientHelper({ rpcKey: '' })
+    helper.readable.pipeTo(new WritableStream()).catch(() => { })
+    const writer = helper.writable.getWriter()
+    let first = helper.apiInvoke('first', [])
+    let second = helper.apiInvoke('second', [])
+    await sleep(10)
+    await writer.write(await buildBufferData([Uint8Array.of(0xc1)], null))
+    // a call can not take callback frames
+    await writer.write(await buildBufferData([buildRpcData({ id: 0, type: RPC_TYPE_CALLBACK, data: [{ type: RPC_DATA_ARG_TYPE_OTHERS, data: 1 }] })], null))
+    await rejects(first, TypeError, 'only the call of the frame fails')
+    await writer.write(await buildBufferData([buildRpcData({ id: 1, type: RPC_TYPE_RETURN, data: 'second' })], null))
+    strictEqual(await second, 'second', 'a frame that can not be read is dropped')
+})
+
+test('timeout-deadline', async () => {
+    // node --test-name-pattern="^timeout-deadline$" src/lib.test.js
+    /** @type{string[]} */
+    let serverAbortReasons = []
+    const extension = {
+        asyncLocalStorage: new AsyncLocalStorage(),
+        /**
+         * @param {number} ms
+         * @param {AbortSignal} signal
+         */
+        async slow(ms, signal) {
+            await sleep(ms)
+            if (signal.aborted) {
+                serverAbortReasons.push(signal.reason.name)
+            }
+            return 'done'
+        },
+        async deadline() {
+            return this.asyncLocalStorage.getStore().rpc.deadline
+        },
+    }
+    const channel = new MessageChannel()
+    using s = new DisposableStack()
+    s.adopt(0, () => { channel.port1.close() })
+    createRpcServerMessagePort({ port: channel.port1, rpcKey: '', extension })
+    /** @type{typeof extension} */
+    const rpc = createRpcClientMessagePort({ port: channel.port2, rpcKey: '', timeout: 100 })
+
+    strictEqual(await rpc.slow(10, new AbortController().signal), 'done')
+
+    try {
+        await rpc.slow(200, new AbortController().signal)
+        fail('should time out')
+    } catch (error) {
+        strictEqual(error.cause.name, 'TimeoutError')
+    }
+
+    // `RpcCallOptions` is an argument the methods of the extension do not declare
+    const withOptions = /** @type{any} */(rpc)
+    strictEqual(await withOptions.slow(200, new AbortController().signal, new RpcCallOptions({ timeout: 0 })), 'done')
+
+    let remain = await withOptions.deadline(new RpcCallOptions({ timeout: 5000 })) - Date.now()
+    ok(remain > 4000 && remain <= 5000, `remain:${remain}`)
+    strictEqual(await withOptions.deadline(new RpcCallOptions({ timeout: 0 })), 0)
+
+    await sleep(200)
+    strictEqual(serverAbortReasons.length, 1)
+    ok(['AbortError', 'TimeoutError'].includes(serverAbortReasons[0]), serverAbortReasons[0])
+})
+
+test('peer-MessagePort', async () => {
+    // node --test-name-pattern="^peer-MessagePort$" src/lib.test.js
+    const clientExtension = {
+        /**
+         * @param {string} question
+         * @param {(progress:number)=>Promise<void>} progress
+         */
+        async confirm(question, progress) {
+            await progress(50)
+            return `yes: ${question}`
+        },
+    }
+    const serverExtension = {
+        /**
+         * @param {string} name
+         */
+        async remove(name) {
+            let progressList = []
+            let answer = await client.confirm(`remove ${name}?`, async (/** @type {number} */ progress) => {
+                progressList.push(progress)
+            })
+            return [answer, progressList]
+        },
+    }
+    const channel = new MessageChannel()
+    using s = new DisposableStack()
+    s.adopt(0, () => { channel.port1.close() })
+    /** @type{typeof clientExtension} */
+    const client = createRpcServerMessagePort({ port: channel.port1, rpcKey: '', extension: serverExtension })
+    /** @type{typeof serverExtension} */
+    const rpc = createRpcClientMessagePort({ port: channel.port2, rpcKey: '', extension: clientExtension })
+
+    deepStrictEqual(await rpc.remove('a.txt'), ['yes: remove a.txt?', [50]])
+    strictEqual(await client.confirm('push', async () => { }), 'yes: push')
+})
+
+test('peer-WebSocket', async () => {
+    // node --test-name-pattern="^peer-WebSocket$" src/lib.test.js
+    const extension = {
+        /** @type{AsyncLocalStorage<{ws:import('ws').WebSocket;request:import('node:http').IncomingMessage;client:{readFile(name:string):Promise<string>}}>} */
+        asyncLocalStorage: new AsyncLocalStorage(),
+        /**
+         * @param {string} name
+         */
+        async upload(name) {
+            let content = await this.asyncLocalStorage.getStore().client.readFile(name)
+            return `uploaded ${name}: ${content}`
+        },
+    }
+    await runWithAbortController(async (ac) => {
+        let server = createServer()
+        ac.signal.addEventListener('abort', () => { server.close() })
+        let wss = new WebSocketServer({ server })
+        createRpcServerWebSocket({ path: '/peer', wss, rpcKey: 'peer', extension })
+        server.listen(9000)
+        await sleep(100)
+
+        /** @type{typeof extension} */
+        let rpc = createRpcClientWebSocket({
+            url: `ws://127.0.0.1:9000/peer`,
+            rpcKey: 'peer',
+            signal: ac.signal,
+            extension: {
+                async readFile(/** @type {string} */ name) {
+                    return `content of ${name}`
+                },
+            },
+        })
+        strictEqual(await rpc.upload('a.txt'), 'uploaded a.txt: content of a.txt')
+    })
+})
+
+test('method-allow-list', async () => {
+    // node --test-name-pattern="^method-allow-list$" src/lib.test.js
+    class BaseApi {
+        async hello() { return 'hello' }
+    }
+    class ExtensionApi extends BaseApi {
+        asyncLocalStorage = new AsyncLocalStorage()
+        async echo(/** @type {string} */ text) { return text }
+        async drop() { return 'dropped' }
+    }
+    using s = new DisposableStack()
+    const channel1 = new MessageChannel()
+    const channel2 = new MessageChannel()
+    s.adopt(0, () => { channel1.port1.close(); channel2.port1.close() })
+    createRpcServerMessagePort({ port: channel1.port1, rpcKey: '', extension: new ExtensionApi(), denyMethods: ['drop'] })
+    createRpcServerMessagePort({ port: channel2.port1, rpcKey: '', extension: new ExtensionApi(), allowMethods: ['echo'] })
+    /** @type{any} */
+    const rpc1 = createRpcClientMessagePort({ port: channel1.port2, rpcKey: '' })
+    /** @type{any} */
+    const rpc2 = createRpcClientMessagePort({ port: channel2.port2, rpcKey: '' })
+
+    strictEqual(await rpc1.echo('abc'), 'abc')
+    strictEqual(await rpc1.hello(), 'hello')
+    strictEqual(await rpc2.echo('abc'), 'abc')
+
+    let results = await Promise.allSettled([
+        rpc1.constructor(), rpc1.toString(), rpc1.hasOwnProperty('echo'), rpc1.__defineGetter__('a', null),
+        rpc1.asyncLocalStorage(), rpc1.missing(), rpc1.drop(), rpc2.hello(), rpc2.drop(),
+    ])
+    for (const result of results) {
+        strictEqual(result.status, 'rejected')
+        strictEqual(result.reason.code, RPC_ERROR_CODE_METHOD_NOT_FOUND)
+        ok(result.reason.message.startsWith('rpc method not found'))
+    }
+})
+
+test('structured-errors', async () => {
+    // node --test-name-pattern="^structured-errors$" src/lib.test.js
+    class NotFoundError extends Error {
+        /** @param {string} id */
+        constructor(id) {
+            super(`not found ${id}`)
+            this.code = 'E_NOT_FOUND'
+            this.id = id
+        }
+    }
+    const extension = {
+        /** @param {string} id */
+        async find(id) {
+            throw new NotFoundError(id)
+        },
+        async chain() {
+            let cause = new RangeError('out of range', { cause: 'low level' })
+            throw Object.assign(new Error('chained', { cause }), { retry: true })
+        },
+        async aggregate() {
+            throw new AggregateError([new TypeError('a'), new Error('b')], 'many')
+        },
+    }
+    using s = new DisposableStack()
+    const channel1 = new MessageChannel()
+    const channel2 = new MessageChannel()
+    s.adopt(0, () => { channel1.port1.close(); channel2.port1.close() })
+    createRpcServerMessagePort({ port: channel1.port1, rpcKey: '', extension })
+    createRpcServerMessagePort({ port: channel2.port1, rpcKey: '', extension, stripErrorStack: true })
+    /** @type{typeof extension} */
+    const rpc = createRpcClientMessagePort({ port: channel1.port2, rpcKey: '', errorClasses: [NotFoundError] })
+    /** @type{typeof extension} */
+    const rpcNoStack = createRpcClientMessagePort({ port: channel2.port2, rpcKey: '' })
+
+    try {
+        await rpc.find('a1')
+        fail('should throw')
+    } catch (error) {
+        ok(error instanceof NotFoundError)
+        strictEqual(error.message, 'not found a1')
+        strictEqual(error.code, 'E_NOT_FOUND')
+        strictEqual(error.id, 'a1')
+        ok(error.stack.includes('at Object.find'))
+    }
+
+    try {
+        await rpc.chain()
+        fail('should throw')
+    } catch (error) {
+        strictEqual(error.message, 'chained')
+        strictEqual(error.retry, true)
+        ok(error.cause instanceof RangeError)
+        strictEqual(error.cause.message, 'out of range')
+        strictEqual(error.cause.cause, 'low level')
+    }
+
+    try {
+        await rpc.aggregate()
+        fail('should throw')
+    } catch (error) {
+        ok(error instanceof AggregateError)
+        deepStrictEqual(error.errors.map((/** @type {Error} */ o) => `${o.name}: ${o.message}`), ['TypeError: a', 'Error: b'])
+    }
+
+    try {
+        await rpcNoStack.find('a2')
+        fail('should throw')
+    } catch (error) {
+        ok(!(error instanceof NotFoundError))
+        strictEqual(error.name, 'Error')
+        strictEqual(error.code, 'E_NOT_FOUND')
+        ok(!error.stack.includes('at Object.find'))
+    }
+})
+
+test('stream-result', async () => {
+    // node --test-name-pattern="^stream-result$" src/lib.test.js
+    let produced = 0
+    let finished = false
+    const extension = {
+        /** @param {number} count */
+        async *numbers(count) {
+            try {
+                for (let i = 0; i < count; i++) {
+                    produced++
+                    yield i
+                }
+            } finally {
+                finished = true
+            }
+        },
+        /** @param {string} text */
+        async chars(text) {
+            return new ReadableStream({
+                start(controller) {
+                    for (const c of text) {
+                        controller.enqueue(c)
+                    }
+                    controller.close()
+                }
+            })
+        },
+        async *broken() {
+            yield 1
+            throw new RangeError('broken stream')
+        },
+    }
+    const channel = new MessageChannel()
+    using s = new DisposableStack()
+    s.adopt(0, () => { channel.port1.close() })
+    createRpcServerMessagePort({ port: channel.port1, rpcKey: '', extension })
+    /** @type{any} */
+    const rpc = createRpcClientMessagePort({ port: channel.port2, rpcKey: '' })
+
+    let values = []
+    for await (const value of await rpc.numbers(100)) {
+        values.push(value)
+    }
+    deepStrictEqual(values, Array.from({ length: 100 }, (_, i) => i))
+    ok(finished)
+
+    /** @type{ReadableStream} */
+    let stream = await rpc.chars('hello')
+    ok(stream instanceof ReadableStream)
+    let text = ''
+    for await (const c of stream) {
+        text += c
+    }
+    strictEqual(text, 'hello')
+
+    // backpressure: the server only produces what the client asked for
+    produced = 0
+    finished = false
+    let numbers = await rpc.numbers(10_000)
+    await sleep(50)
+    ok(produced > 0 && produced <= 20, `produced ${produced}`)
+
+    // early termination stops the server generator
+    for await (const value of numbers) {
+        if (value == 30) {
+            break
+        }
+    }
+    await sleep(50)
+    ok(finished)
+    ok(produced < 100, `produced ${produced}`)
+
+    values = []
+    try {
+        for await (const value of await rpc.broken()) {
+            values.push(value)
+        }
+        fail('should throw')
+    } catch (error) {
+        ok(error instanceof RangeError)
+        strictEqual(error.message, 'broken stream')
+    }
+    deepStrictEqual(values, [1])
+})
+
+test('stream-result-http', async () => {
+    // node --test-name-pattern="^stream-result-http$" src/lib.test.js
+    const app = new Koa()
+    const router = new Router()
+    app.use(router.routes())
+    let server = createServer(/** @type{import('node:http').RequestListener} */(app.callback())).listen(9000)
+    using s = new DisposableStack()
+    s.adopt(0, () => { server.close() })
+
+    let finished = false
+    const extension = {
+        asyncLocalStorage: new AsyncLocalStorage(),
+        /** @param {number} count */
+        async *numbers(count) {
+            for (let i = 0; i < count; i++) {
+                await sleep(10)
+                yield i
+            }
+            finished = true
+        },
+    }
+    createRpcServerKoaRouter({
+        path: '/rpc/stream',
+        router: router,
+        extension,
+    })
+
+    /** @type{any} */
+    const rpc = createRpcClientHttp({ url: `http://127.0.0.1:9000/rpc/stream` })
+    let values = []
+    for await (const value of await rpc.numbers(20)) {
+        if (value == 0) {
+            ok(!finished, 'chunks arrive before the server is done')
+        }
+        values.push(value)
+    }
+    deepStrictEqual(values, Array.from({ length: 20 }, (_, i) => i))
+})
+
+test('stream-argument', async () => {
+    // node --test-name-pattern="^stream-argument$" src/lib.test.js
+    const extension = {
+        /**
+         * @param {string} name
+         * @param {ReadableStream<Uint8Array>} stream
+         */
+        async upload(name, stream) {
+            let size = 0
+            for await (const chunk of stream) {
+                size += chunk.length
+            }
+            return `${name}: ${size}`
+        },
+        /** @param {ReadableStream<Uint8Array>} stream */
+        async head(stream) {
+            let reader = stream.getReader()
+            let { value } = await reader.read()
+            await reader.cancel()
+            return value.length
+        },
+        /** @param {ReadableStream<Uint8Array>} stream */
+        async ignore(stream) {
+            return stream instanceof ReadableStream
+        },
+        /** @param {ReadableStream<string>} stream */
+        async *upper(stream) {
+            for await (const text of stream) {
+                yield text.toUpperCase()
+            }
+        },
+        /** @param {ReadableStream<Uint8Array>} stream */
+        async fail(stream) {
+            try {
+                for await (const _ of stream) { }
+            } catch (error) {
+                return `${error.name}: ${error.message}`
+            }
+        },
+    }
+    const channel = new MessageChannel()
+    using s = new DisposableStack()
+    s.adopt(0, () => { channel.port1.close() })
+    createRpcServerMessagePort({ port: channel.port1, rpcKey: '', extension })
+    /** @type{typeof extension} */
+    const rpc = createRpcClientMessagePort({ port: channel.port2, rpcKey: '' })
+
+    let produced = 0
+    let finished = false
+    /** @param {number} count */
+    async function* chunks(count) {
+        try {
+            for (let i = 0; i < count; i++) {
+                produced++
+                yield new Uint8Array(1024)
+            }
+        } finally {
+            finished = true
+        }
+    }
+
+    strictEqual(await rpc.upload('a.bin', /** @type{any} */(chunks(100))), 'a.bin: 102400')
+    ok(finished)
+
+    let stream = /** @type{any} */(ReadableStream).from(['a', 'b', 'c'])
+    strictEqual(await rpc.upload('b.txt', /** @type{any} */(stream)), 'b.txt: 3')
+
+    produced = 0
+    finished = false
+    strictEqual(await rpc.head(/** @type{any} */(chunks(10_000))), 1024)
+    await sleep(50)
+    ok(finished)
+    ok(produced <= 20, `produced ${produced}`)
+
+    finished = false
+    strictEqual(await rpc.ignore(/** @type{any} */(chunks(10_000))), true)
+    await sleep(50)
+    ok(finished)
+
+    let values = []
+    for await (const value of /** @type{any} */(await rpc.upper(/** @type{any} */(ReadableStream).from(['x', 'y'])))) {
+        values.push(value)
+    }
+    deepStrictEqual(values, ['X', 'Y'])
+
+    async function* broken() {
+        yield new Uint8Array(1)
+        throw new RangeError('disk error')
+    }
+    strictEqual(await rpc.fail(/** @type{any} */(broken())), 'RangeError: disk error')
+})
+
+test('encrypted-framing', async () => {
+    // node --test-name-pattern="^encrypted-framing$" src/lib.test.js
+    const rpcKey = buildRpcKey('secret', 10)
+    /**
+     * @param {TransformStream<Uint8Array<ArrayBuffer>,Uint8Array<ArrayBuffer>>} stream
+     * @param {Uint8Array<ArrayBuffer>[]} chunks
+     */
+    async function run(stream, chunks) {
+        return await Array.fromAsync(/** @type{any} */(ReadableStream).from(chunks).pipeThrough(stream))
+    }
+
+    let message = Uint8Array_from('hello')
+    let [frame1, frame2] = await run(createEncodeStream(rpcKey, 'client'), [message, message])
+    let [frame3] = await run(createEncodeStream(rpcKey, 'client'), [message])
+    // header(8) salt(16) seq(8)
+    deepStrictEqual(frame1.subarray(8, 24), frame2.subarray(8, 24), 'one salt per stream')
+    notDeepStrictEqual(frame1.subarray(8, 24), frame3.subarray(8, 24), 'random salt for each stream')
+    notDeepStrictEqual(frame1.subarray(32), frame2.subarray(32), 'a nonce for each frame')
+
+    deepStrictEqual(await run(createDecodeStream(rpcKey, 'server'), [frame1, frame2, frame3]), [message, message, message])
+
+    // replayed frames are dropped, also across streams that share the senders
+    deepStrictEqual(await run(createDecodeStream(rpcKey, 'server'), [frame1, frame2, frame1, frame2]), [message, message])
+    const senders = new Map()
+    deepStrictEqual(await run(createDecodeStream(rpcKey, 'server', senders), [frame1]), [message])
+    deepStrictEqual(await run(createDecodeStream(rpcKey, 'server', senders), [frame1, frame2]), [message])
+
+    // each direction has its own key, frames reflected back to the sender do not decrypt
+    await rejects(run(createDecodeStream(rpcKey, 'client'), [frame1]))
+
+    let tampered = frame1.slice()
+    tampered[tampered.length - 1] ^= 1
+    await rejects(run(createDecodeStream(rpcKey, 'server'), [tampered]))
+    await rejects(run(createDecodeStream(buildRpcKey('other', 10), 'server'), [frame1]))
+
+    // the deprecated key and IV still derive what they did before 3.0.0
+    let [key, iv] = await buildKeyIv('secret', 10)
+    strictEqual(Buffer.from(iv).toString('hex'), '384010f2d3a53edb45251c30c4a0afb35bfd2c89b9acc34e866a06943ce6b3fa')
+    strictEqual(Buffer.from(await encrypt(message, key, iv)).toString('hex'), 'af7f70cab6be204e6fb456435e8da4b01e8282314d')
+    deepStrictEqual(await buildKeyIv('', 10), [null, null])
+})
+
+test('handshake', async () => {
+    // node --test-name-pattern="^handshake$" src/lib.test.js
+    const extension = {
+        asyncLocalStorage: new AsyncLocalStorage(),
+        /** @param {string} name */
+        async hello(name) {
+            return `hello ${name}`
+        },
+    }
+    /**
+     * @param {{rpcKey:string;serverKey?:CryptoKey;}} server
+     * @param {{rpcKey:string;serverKey?:CryptoKey;}} client
+     */
+    async function call(server, client) {
+        const channel = new MessageChannel()
+        using s = new DisposableStack()
+        s.adopt(0, () => { channel.port1.close() })
+        createRpcServerMessagePort({ port: channel.port1, rpcKey: server.rpcKey, extension, handshake: { serverKey: server.serverKey } })
+        /** @type{typeof extension} */
+        const rpc = createRpcClientMessagePort({ port: channel.port2, rpcKey: client.rpcKey, timeout: 1000, handshake: { serverKey: client.serverKey } })
+        return await rpc.hello('handshake')
+    }
+
+    strictEqual(await call({ rpcKey: 'psk' }, { rpcKey: 'psk' }), 'hello handshake')
+    await rejects(call({ rpcKey: 'psk' }, { rpcKey: 'other' }))
+
+    const { privateKey, publicKey } = await generateRpcServerKey()
+    const other = await generateRpcServerKey()
+    strictEqual(await call({ rpcKey: '', serverKey: privateKey }, { rpcKey: '', serverKey: publicKey }), 'hello handshake')
+    await rejects(call({ rpcKey: '', serverKey: privateKey }, { rpcKey: '', serverKey: other.publicKey }), /server signature/)
+
+    await runWithAbortController(async (ac) => {
+        const app = new Koa()
+        const router = new Router()
+        app.use(router.routes())
+        let server = createServer(/** @type{import('node:http').RequestListener} */(app.callback()))
+        ac.signal.addEventListener('abort', () => { server.close() })
+        let wss = new WebSocketServer({ server })
+        createRpcServerWebSocket({ path: '/handshake', wss, rpcKey: 'psk', extension, handshake: { serverKey: privateKey } })
+        createRpcServerKoaRouter({ path: '/handshake', router, rpcKey: 'psk', extension, handshake: { serverKey: privateKey } })
+        server.listen(9000)
+        await sleep(100)
+
+        /** @type{typeof extension} */
+        let ws = createRpcClientWebSocket({ url: `ws://127.0.0.1:9000/handshake`, rpcKey: 'psk', signal: ac.signal, handshake: { serverKey: publicKey } })
+        strictEqual(await ws.hello('ws'), 'hello ws')
+
+        /** @type{typeof extension} */
+        let http = createRpcClientHttp({ url: `http://127.0.0.1:9000/handshake`, rpcKey: 'psk', handshake: { serverKey: publicKey } })
+        strictEqual(await http.hello('http'), 'hello http')
+        deepStrictEqual(await Promise.all([http.hello('a'), http.hello('b')]), ['hello a', 'hello b'])
+
+        let res = await fetch(`http://127.0.0.1:9000/handshake`, { method: 'POST', body: new Uint8Array(8) })
+        strictEqual(res.status, 401, 'calls without a session are refused')
+    })
+})
+
+test('resolve-key', async () => {
+    // node --test-name-pattern="^resolve-key$" src/lib.test.js
+    const extension = {
+        asyncLocalStorage: new AsyncLocalStorage(),
+        async hello() {
+            return 'hello'
+        },
+    }
+    /** @type{Record<string,string>} */
+    const keys = { a: 'key-a', b: 'key-b' }
+    /** @param {import('node:http').IncomingMessage} request */
+    const resolveKey = async (request) => {
+        return keys[new URL(request.url, 'http://localhost').searchParams.get('client')] ?? null
+    }
+    await runWithAbortController(async (ac) => {
+        const app = new Koa()
+        const router = new Router()
+        app.use(router.routes())
+        let server = createServer(/** @type{import('node:http').RequestListener} */(app.callback()))
+        ac.signal.addEventListener('abort', () => { server.close() })
+        let wss = new WebSocketServer({ server })
+        createRpcServerWebSocket({ path: '/tenant', wss, resolveKey, extension })
+        createRpcServerKoaRouter({ path: '/tenant', router, resolveKey, extension })
+        server.listen(9000)
+        await sleep(100)
+
+        /**
+         * @param {string} client
+         * @param {string} rpcKey
+         * @returns {typeof extension}
+         */
+        function connect(client, rpcKey) {
+            return createRpcClientWebSocket({ url: `ws://127.0.0.1:9000/tenant?client=${client}`, rpcKey, signal: ac.signal, timeout: 500 })
+        }
+        strictEqual(await connect('a', 'key-a').hello(), 'hello')
+        strictEqual(await connect('b', 'key-b').hello(), 'hello')
+        await rejects(connect('b', 'key-a').hello(), 'the key of another client')
+
+        /** @type{typeof extension} */
+        let http = createRpcClientHttp({ url: `http://127.0.0.1:9000/tenant?client=a`, rpcKey: 'key-a', timeout: 500 })
+        strictEqual(await http.hello(), 'hello')
+
+        // revoked keys take effect without a restart
+        delete keys.a
+        await rejects(http.hello(), /401/)
+        await rejects(connect('a', 'key-a').hello())
+    })
+})
+
+test('middleware', async () => {
+    // node --test-name-pattern="^middleware$" src/lib.test.js
+    /** @type{string[]} */
+    const log = []
+    let failures = 1
+    const extension = {
+        /**
+         * @param {number} a
+         * @param {number} b
+         */
+        async add(a, b) {
+            return a + b
+        },
+        async flaky() {
+            if (failures-- > 0) {
+                throw Object.assign(new Error('busy'), { code: 'BUSY' })
+            }
+            return 'ok'
+        },
+        async secret() {
+            return 'secret'
+        },
+    }
+    const channel = new MessageChannel()
+    using s = new DisposableStack()
+    s.adopt(0, () => { channel.port1.close() })
+    createRpcServerMessagePort({
+        port: channel.port1, rpcKey: '', extension, middleware: [
+            async (ctx, next) => {
+                log.push(`server ${ctx.method}`)
+                await next()
+                log.push(`server ${ctx.method} done`)
+            },
+            async (ctx, next) => {
+                if (ctx.method == 'secret') {
+                    throw Object.assign(new Error('forbidden'), { code: 'FORBIDDEN' })
+                }
+                await next()
+            },
+            async (ctx, next) => {
+                await next()
+                if (ctx.method == 'add') {
+                    ctx.result *= 10
+                }
+            },
+        ],
+    })
+    /** @type{typeof extension} */
+    const rpc = createRpcClientMessagePort({
+        port: channel.port2, rpcKey: '', callMiddleware: [
+            async (ctx, next) => {
+                log.push(`client ${ctx.method}`)
+                await next()
+            },
+            async (ctx, next) => {
+                for (let i = 0; ; i++) {
+                    try {
+                        return await next()
+                    } catch (error) {
+                        if (error.code != 'BUSY' || i >= 2) throw error
+                    }
+                }
+            },
+            async (ctx, next) => {
+                if (ctx.method == 'add') {
+                    ctx.args = ctx.args.map((/** @type {number} */ o) => o + 1)
+                }
+                await next()
+            },
+        ],
+    })
+
+    strictEqual(await rpc.add(1, 2), 50)
+    strictEqual(await rpc.flaky(), 'ok')
+    await rejects(rpc.secret(), { code: 'FORBIDDEN' })
+    deepStrictEqual(log, [
+        'client add', 'server add', 'server add done',
+        'client flaky', 'server flaky', 'server flaky', 'server flaky done',
+        'client secret', 'server secret',
+    ])
+})
+
+test('metadata', async () => {
+    // node --test-name-pattern="^metadata$" src/lib.test.js
+    const extension = {
+        /** @type{AsyncLocalStorage<{rpc:import('./types.js').RPC_CALL_CONTEXT}>} */
+        asyncLocalStorage: new AsyncLocalStorage(),
+        async whoami() {
+            let rpc = this.asyncLocalStorage.getStore().rpc
+            rpc.trailers.served = 'whoami'
+            return rpc.metadata
+        },
+        async fail() {
+            this.asyncLocalStorage.getStore().rpc.trailers.retryAfter = 5
+            throw new Error('later')
+        },
+    }
+    const channel = new MessageChannel()
+    using s = new DisposableStack()
+    s.adopt(0, () => { channel.port1.close() })
+    createRpcServerMessagePort({ port: channel.port1, rpcKey: '', extension })
+    let token = 0
+    /** @type{import('./types.js').RPC_METADATA[]} */
+    let trailers = []
+    /** @type{typeof extension} */
+    const rpc = createRpcClientMessagePort({
+        port: channel.port2, rpcKey: '',
+        metadata: async () => ({ token: `token-${++token}`, locale: 'en' }),
+        callMiddleware: [
+            async (ctx, next) => {
+                ctx.metadata.traceId = 'trace'
+                try {
+                    await next()
+                } finally {
+                    trailers.push(ctx.trailers)
+                }
+            },
+        ],
+    })
+
+    deepStrictEqual(await rpc.whoami(), { token: 'token-1', locale: 'en', traceId: 'trace' })
+    // `RpcCallOptions` is an argument the methods of the extension do not declare
+    const withOptions = /** @type{any} */(rpc)
+    let options = new RpcCallOptions({ metadata: { locale: 'zh' } })
+    deepStrictEqual(await withOptions.whoami(options), { token: 'token-2', locale: 'zh', traceId: 'trace' })
+    deepStrictEqual(options.trailers, { served: 'whoami' })
+
+    options = new RpcCallOptions({})
+    await rejects(withOptions.fail(options), /later/)
+    deepStrictEqual(options.trailers, { retryAfter: 5 })
+    deepStrictEqual(trailers, [{ served: 'whoami' }, { served: 'whoami' }, { retryAfter: 5 }])
+})
+
+test('tracing', async () => {
+    // node --test-name-pattern="^tracing$" src/lib.test.js
+    const extension = {
+        /** @type{AsyncLocalStorage<{rpc:import('./types.js').RPC_CALL_CONTEXT}>} */
+        asyncLocalStorage: new AsyncLocalStorage(),
+        async work() {
+            return this.asyncLocalStorage.getStore().rpc.metadata.traceparent
+        },
+        async fail() {
+            throw new Error('failed')
+        },
+    }
+    const serverTracer = createRpcMemoryTracer()
+    const clientTracer = createRpcMemoryTracer()
+    const channel = new MessageChannel()
+    using s = new DisposableStack()
+    s.adopt(0, () => { channel.port1.close() })
+    createRpcServerMessagePort({ port: channel.port1, rpcKey: '', extension, tracer: serverTracer })
+    /** @type{typeof extension} */
+    const rpc = createRpcClientMessagePort({ port: channel.port2, rpcKey: '', tracer: clientTracer })
+
+    let traceparent = await rpc.work()
+    await rejects(rpc.fail(), /failed/)
+
+    let [clientWork, clientFail] = clientTracer.spans
+    let [serverWork, serverFail] = serverTracer.spans
+    strictEqual(traceparent, `00-${clientWork.traceId}-${clientWork.spanId}-01`)
+    deepStrictEqual([clientWork.kind, clientWork.name, clientWork.attributes['rpc.method']], ['client', 'work', 'work'])
+    deepStrictEqual([serverWork.kind, serverWork.traceId, serverWork.parentSpanId], ['server', clientWork.traceId, clientWork.spanId])
+    strictEqual(serverFail.parentSpanId, clientFail.spanId)
+    strictEqual(clientWork.status, undefined)
+    strictEqual(clientFail.status.code, 2)
+    strictEqual(serverFail.status.code, 2)
+    strictEqual(serverFail.exceptions[0].message, 'failed')
+
+    // a caller traced by another system, e.g. OpenTelemetry in a browser
+    const traceId = '4bf92f3577b34da6a3ce929d0e0e4736'
+    /** @type{typeof extension} */
+    const other = createRpcClientMessagePort({
+        port: channel.port2, rpcKey: '',
+        metadata: { traceparent: `00-${traceId}-00f067aa0ba902b7-01`, tracestate: 'vendor=value' },
+    })
+    await other.work()
+    let serverOther = serverTracer.spans.at(-1)
+    deepStrictEqual([serverOther.traceId, serverOther.parentSpanId], [traceId, '00f067aa0ba902b7'])
+})
+
+test('opentelemetry-tracer', async () => {
+    // node --test-name-pattern="^opentelemetry-tracer$" src/lib.test.js
+    /** @type{any[]} */
+    const parents = []
+    const traceState = { serialize: () => 'vendor=object' }
+    // the parts of `@opentelemetry/api` the adapter uses
+    const api = {
+        context: { active: () => ({}) },
+        trace: {
+            getTracer: () => ({ startSpan: () => ({}) }),
+            setSpanContext: (/** @type {any} */ context, /** @type {any} */ parent) => { parents.push(parent); return context },
+        },
+        createTraceState: (/** @type {string} */ text) => ({ serialize: () => text }),
+        SpanKind: { CLIENT: 2, SERVER: 1 },
+    }
+    const tracer = createRpcOpenTelemetryTracer(api)
+    const parent = { traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: '00f067aa0ba902b7', traceFlags: 1 }
+    tracer.startSpan('work', { kind: 'server', attributes: {}, parent: { ...parent, traceState: 'vendor=string' } })
+    tracer.startSpan('work', { kind: 'server', attributes: {}, parent: { ...parent, traceState } })
+    tracer.startSpan('work', { kind: 'server', attributes: {}, parent })
+    deepStrictEqual(parents.map((o) => o.traceState?.serialize()), ['vendor=string', 'vendor=object', undefined])
+    strictEqual(parents[1].traceState, traceState)
+    strictEqual(parents[2].traceId, parent.traceId)
+})
+
+test('metrics', async () => {
+    // node --test-name-pattern="^metrics$" src/lib.test.js
+    const extension = {
+        asyncLocalStorage: new AsyncLocalStorage(),
+        /**
+         * @param {string} text
+         * @param {(progress:number)=>void} progress
+         */
+        async work(text, progress) {
+            progress(1)
+            progress(2)
+            return text.toUpperCase()
+        },
+        async fail() {
+            throw new TypeError('failed')
+        },
+    }
+    /** @type{import('./types.js').RPC_EVENT[]} */
+    const serverEvents = []
+    /** @type{import('./types.js').RPC_EVENT[]} */
+    const clientEvents = []
+    const channel = new MessageChannel()
+    using s = new DisposableStack()
+    s.adopt(0, () => { channel.port1.close() })
+    createRpcServerMessagePort({ port: channel.port1, rpcKey: '', extension, onEvent: (event) => serverEvents.push(event) })
+    /** @type{typeof extension} */
+    const rpc = createRpcClientMessagePort({ port: channel.port2, rpcKey: '', onEvent: (event) => clientEvents.push(event) })
+
+    strictEqual(await rpc.work('abc', async () => { }), 'ABC')
+    await rejects(rpc.fail(), /failed/)
+    await sleep(10)
+
+    deepStrictEqual(clientEvents.map((o) => o.type), ['call-start', 'call-end', 'call-start', 'call-end'])
+    deepStrictEqual(serverEvents.map((o) => o.type), ['call-start', 'call-end', 'call-start', 'call-end'])
+    for (const events of [clientEvents, serverEvents]) {
+        let [, work, , failed] = events
+        if (work.type != 'call-end' || failed.type != 'call-end') {
+            fail('call-end expected')
+            return
+        }
+        deepStrictEqual([work.method, work.callbacks, work.error], ['work', 2, undefined])
+        ok(work.requestBytes > 0 && work.responseBytes > 0 && work.duration >= 0)
+        deepStrictEqual([failed.method, failed.callbacks, failed.error], ['fail', 0, 'TypeError'])
+    }
+
+    await runWithAbortController(async (ac) => {
+        const app = new Koa()
+        const router = new Router()
+        app.use(router.routes())
+        let server = createServer(/** @type{import('node:http').RequestListener} */(app.callback()))
+        ac.signal.addEventListener('abort', () => { server.close() })
+        /** @type{import('./types.js').RPC_EVENT[]} */
+        const events = []
+        createRpcServerKoaRouter({ path: '/metrics-rpc', router, rpcKey: '', extension, metricsPath: '/metrics', onEvent: (event) => events.push(event) })
+        server.listen(9000)
+        await sleep(100)
+
+        /** @type{typeof extension} */
+        const http = createRpcClientHttp({ url: `http://127.0.0.1:9000/metrics-rpc`, rpcKey: '' })
+        strictEqual(await http.work('http', async () => { }), 'HTTP')
+        await rejects(http.fail(), /failed/)
+        // callers choose the names, the series stay bounded
+        const unknown = /** @type{any} */(http)
+        await rejects(unknown.missing1(), /rpc method not found/)
+        await rejects(unknown.missing2(), /rpc method not found/)
+        await sleep(10)
+        ok(events.some((o) => o.type == 'connection-open' && o.active == 1))
+        strictEqual(events.flatMap((o) => o.type == 'connection-close' ? [o.active] : []).at(-1), 0)
+
+        let res = await fetch(`http://127.0.0.1:9000/metrics`)
+        ok(res.headers.get('content-type').startsWith('text/plain'))
+        let text = await res.text()
+        ok(text.includes('rpc_calls_total{side="server",method="work",status="ok"} 1'), text)
+        ok(text.includes('rpc_calls_total{side="server",method="fail",status="error"} 1'), text)
+        ok(text.includes('rpc_call_duration_seconds_count{side="server",method="work"} 1'), text)
+        ok(text.includes('rpc_calls_total{side="server",method="<unknown>",status="error"} 2'), text)
+        ok(!text.includes('missing1'), text)
+        ok(text.includes('rpc_active_connections{side="server"} 0'), text)
+    })
+})
+
+test('nested-services', async () => {
+    // node --test-name-pattern="^nested-services$" src/lib.test.js
+    class Db {
+        async drop() { return 'dropped' }
+    }
+    class UserService {
+        users = new Map([['1', 'alice']])
+        db = new Db()
+        bus = new EventEmitter()
+        async get(/** @type {string} */ id) { return this.users.get(id) }
+    }
+    const extension = {
+        users: new UserService(),
+        files: new Map([['list', async () => ['a.txt']]]),
+        admin: {
+            async reset() { return 'reset' },
+        },
+        async hello() { return 'hello' },
+    }
+    const services = new Map([['users', extension.users]])
+    using s = new DisposableStack()
+    const channel1 = new MessageChannel()
+    const channel2 = new MessageChannel()
+    const channel3 = new MessageChannel()
+    s.adopt(0, () => { channel1.port1.close(); channel2.port1.close(); channel3.port1.close() })
+    createRpcServerMessagePort({ port: channel1.port1, rpcKey: '', extension, services })
+    createRpcServerMessagePort({ port: channel2.port1, rpcKey: '', extension, services, denyMethods: ['admin'] })
+    createRpcServerMessagePort({ port: channel3.port1, rpcKey: '', extension: extension.users })
+    /** @type{typeof extension} */
+    const rpc1 = createRpcClientMessagePort({ port: channel1.port2, rpcKey: '' })
+    /** @type{typeof extension} */
+    const rpc2 = createRpcClientMessagePort({ port: channel2.port2, rpcKey: '' })
+    /** @type{UserService} */
+    const rpc3 = createRpcClientMessagePort({ port: channel3.port2, rpcKey: '' })
+
+    /** @type{any} */
+    const any1 = rpc1
+    strictEqual(await rpc1.users.get('1'), 'alice', 'methods are called on their service')
+    deepStrictEqual(await any1.files.list(), ['a.txt'])
+    strictEqual(await rpc1.admin.reset(), 'reset')
+    strictEqual(await rpc1.hello(), 'hello')
+    strictEqual(rpc1.users.get, rpc1.users.get)
+    strictEqual(await Promise.resolve(rpc1.users), rpc1.users, 'a method proxy is not a thenable')
+
+    let results = await Promise.allSettled([
+        any1.users(), any1.users.users.get('1'), any1.users.constructor.name(), any1.users.get.call(),
+        any1.admin.__proto__.toString(), any1['users.missing'](), rpc2.admin.reset(),
+        any1.users.db.drop(), any1.users.bus.emit('x'), rpc3.db.drop(), rpc3.bus.emit('x'),
+    ])
+    for (const result of results) {
+        strictEqual(result.status, 'rejected')
+        strictEqual(result.reason.code, RPC_ERROR_CODE_METHOD_NOT_FOUND)
+    }
+    strictEqual(await rpc3.get('1'), 'alice', 'the methods of a class instance extension stay callable')
+
+    const channel4 = new MessageChannel()
+    s.adopt(0, () => { channel4.port1.close() })
+    createRpcServerMessagePort({ port: channel4.port1, rpcKey: '', extension })
+    /** @type{any} */
+    const rpc4 = createRpcClientMessagePort({ port: channel4.port2, rpcKey: '' })
+    await rejects(rpc4.users.get('1'), (/** @type {any} */ error) => error.code == RPC_ERROR_CODE_METHOD_NOT_FOUND, 'a class instance field is not a service')
+})
+
+test('service-registry', async () => {
+    // node --test-name-pattern="^service-registry$" src/lib.test.js
+    class FileService {
+        files = ['a.txt']
+        async list() { return this.files }
+    }
+    const extension = {
+        async hello() { return 'hello' },
+        async service() { return 'service' },
+    }
+    /** @type{Map<string,object>} */
+    const services = new Map()
+    const channel = new MessageChannel()
+    using s = new DisposableStack()
+    s.adopt(0, () => { channel.port1.close() })
+    createRpcServerMessagePort({ port: channel.port1, rpcKey: '', extension, services })
+    const rpc = createRpcClientMessagePort({ port: channel.port2, rpcKey: '' })
+    /** @type{FileService} */
+    const files = rpcService(rpc, 'files')
+    strictEqual(files, rpc.files)
+    strictEqual(await rpc.service(), 'service', 'a remote method may be called service')
+
+    await rejects(files.list(), (/** @type {any} */ error) => error.code == RPC_ERROR_CODE_METHOD_NOT_FOUND)
+    services.set('files', new FileService())
+    deepStrictEqual(await files.list(), ['a.txt'], 'services can be added while connected')
+    strictEqual(await rpc.hello(), 'hello')
+    services.delete('files')
+    await rejects(files.list(), (/** @type {any} */ error) => error.code == RPC_ERROR_CODE_METHOD_NOT_FOUND)
+})
+
+test('schemas', async () => {
+    // node --test-name-pattern="^schemas$" src/lib.test.js
+    const extension = {
+        /**
+         * @param {{name:string;age:number;tags?:string[]}} user
+         * @param {(progress:number)=>void} [progress]
+         */
+        async save(user, progress) {
+            await progress?.(1)
+            return `${user.name}:${user.age}`
+        },
+        async broken() {
+            return 42
+        },
+        /** @param {string} text */
+        async trim(text) {
+            return text
+        },
+    }
+    /** @type{import('./types.js').RPC_SCHEMA} a Standard Schema of another library */
+    const trimmed = {
+        '~standard': {
+            version: 1, vendor: 'test',
+            async validate(value) {
+                return typeof value == 'string' ? { value: value.trim() } : { issues: [{ message: 'not a string', path: [{ key: 'text' }] }] }
+            },
+        },
+    }
+    const schemas = {
+        save: {
+            args: [
+                rpcSchema.object({ name: rpcSchema.string({ minLength: 1 }), age: rpcSchema.number({ integer: true, min: 0 }), tags: rpcSchema.optional(rpcSchema.array(rpcSchema.string())) }),
+                rpcSchema.optional(rpcSchema.function([rpcSchema.number()])),
+            ],
+            result: rpcSchema.string(),
+        },
+        broken: { args: [], result: rpcSchema.string() },
+        trim: { args: [trimmed] },
+    }
+    const channel = new MessageChannel()
+    using s = new DisposableStack()
+    s.adopt(0, () => { channel.port1.close() })
+    createRpcServerMessagePort({ port: channel.port1, rpcKey: '', extension, schemas })
+    /** @type{any} */
+    const rpc = createRpcClientMessagePort({ port: channel.port2, rpcKey: '' })
+
+    strictEqual(await rpc.save({ name: 'alice', age: 3 }), 'alice:3')
+    strictEqual(await rpc.save({ name: 'bob', age: 4, tags: ['a'] }, async () => { }), 'bob:4')
+    strictEqual(await rpc.trim('  abc '), 'abc', 'the values returned by the schemas are passed on')
+
+    /** @type{RpcValidationError} */
+    let error = await rpc.save({ name: '', age: 1.5, tags: ['a', 2] }).catch((/** @type {any} */ e) => e)
+    ok(error instanceof RpcValidationError)
+    strictEqual(error.code, RPC_ERROR_CODE_INVALID_ARGUMENTS)
+    deepStrictEqual(error.issues.map((o) => o.path), [[0, 'name'], [0, 'age'], [0, 'tags', 1]])
+    strictEqual(error.message, 'rpc invalid arguments of save: 0.name: expected a length of at least 1')
+
+    await rejects(rpc.save({ name: 'a', age: 1 }, 'x'), (/** @type {any} */ e) => e.issues[0].message == 'expected a function')
+    await rejects(rpc.save({ name: 'a', age: 1 }, undefined, 'x'), (/** @type {any} */ e) => e.issues[0].message == 'unexpected argument')
+    await rejects(rpc.trim(1), (/** @type {any} */ e) => deepStrictEqual(e.issues, [{ message: 'not a string', path: [0, 'text'] }]) ?? true)
+    await rejects(rpc.broken(), (/** @type {any} */ e) => e.code == RPC_ERROR_CODE_INVALID_RESULT && e.message == 'rpc invalid result of broken: expected a string')
+})
+
+test('describe', async () => {
+    // node --test-name-pattern="^describe$" src/lib.test.js
+    class BaseApi {
+        async hello() { return 'hello' }
+    }
+    class Db {
+        async drop() { }
+    }
+    class ExtensionApi extends BaseApi {
+        asyncLocalStorage = new AsyncLocalStorage()
+        items = ['a']
+        admin = { async reset() { } }
+        db = new Db()
+        bus = new EventEmitter()
+        /**
+         * @param {string} name
+         * @param {(progress:number)=>void} progress
+         */
+        async upload(name, progress) { }
+        async secret() { }
+    }
+    class UserService {
+        db = new Db()
+        async get() { }
+    }
+    /** @type{Map<string,object>} */
+    const services = new Map(/** @type{[string,object][]} */([['files', { async list(/** @type {string} */ dir) { return [dir] } }], ['users', new UserService()]]))
+    const schemas = {
+        upload: {
+            args: [rpcSchema.string(), rpcSchema.function([rpcSchema.number()])],
+            result: rpcSchema.optional(rpcSchema.any()),
+            description: 'uploads a file',
+        },
+    }
+    const channel = new MessageChannel()
+    using s = new DisposableStack()
+    s.adopt(0, () => { channel.port1.close() })
+    createRpcServerMessagePort({ port: channel.port1, rpcKey: '', extension: new ExtensionApi(), services, schemas, denyMethods: ['secret'] })
+    /** @type{any} */
+    const rpc = createRpcClientMessagePort({ port: channel.port2, rpcKey: '' })
+
+    /** @type{import('./types.js').RPC_DESCRIPTION} */
+    const description = await rpc[RPC_METHOD_DESCRIBE]()
+    deepStrictEqual(description.methods.map((o) => o.name).sort(), ['admin.reset', 'files.list', 'hello', 'upload', 'users.get'], 'the fields of class instances are not listed')
+    const upload = description.methods.find((o) => o.name == 'upload')
+    deepStrictEqual([upload.length, upload.callbacks, upload.description], [2, [1], 'uploads a file'])
+    deepStrictEqual(upload.args, [{ type: 'string' }, { 'x-rpc-type': 'function', 'x-rpc-args': [{ type: 'number' }] }])
+    deepStrictEqual(description.methods.find((o) => o.name == 'files.list'), { name: 'files.list', length: 1, callbacks: [], args: undefined, result: undefined, description: undefined })
+    await rejects(rpc.items.push('b'), (/** @type {any} */ error) => error.code == RPC_ERROR_CODE_METHOD_NOT_FOUND, 'methods of built-in objects are not exposed')
+
+    const channel2 = new MessageChannel()
+    s.adopt(0, () => { channel2.port1.close() })
+    createRpcServerMessagePort({ port: channel2.port1, rpcKey: '', extension: new ExtensionApi(), allowMethods: ['hello'] })
+    /** @type{any} */
+    const rpc2 = createRpcClientMessagePort({ port: channel2.port2, rpcKey: '' })
+    await rejects(rpc2.$describe(), (/** @type {any} */ error) => error.code == RPC_ERROR_CODE_METHOD_NOT_FOUND)
+})
+
+test('declarations', async () => {
+    // node --test-name-pattern="^declarations$" src/lib.test.js
+    const dir = await mkdtemp(join(tmpdir(), 'js-rpc2-'))
+    await using s = new AsyncDisposableStack()
+    s.defer(() => rm(dir, { recursive: true }))
+    await writeFile(join(dir, 'api.js'), `
+import { rpcSchema } from ${JSON.stringify(new URL('./lib.js', import.meta.url).href)}
+
+export class Api {
+    users = {
+        /**
+         * @param {string} id
+         * @returns {Promise<{id:string;name:string}>}
+         */
+        async get(id) { return { id, name: '' } },
+    }
+    files = {
+        /**
+         * @param {number} index
+         * @returns {Promise<Uint8Array>}
+         */
+        async get(index) { return new Uint8Array(index) },
+    }
+    /**
+     * Uploads a file.
+     * @param {string} name
+     * @param {ReadableStream<Uint8Array>} stream
+     * @param {(progress:number)=>void} [progress]
+     */
+    async upload(name, stream, progress) { }
+    /** @param {string} file */
+    async *tail(file) { }
+    async untyped(a, b = 1, ...rest) { }
+    async save(user, notify) { }
+}
+
+export const schemas = {
+    save: {
+        args: [
+            rpcSchema.object({ name: rpcSchema.string(), tags: rpcSchema.optional(rpcSchema.array(rpcSchema.string())) }),
+            rpcSchema.optional(rpcSchema.function([rpcSchema.union(rpcSchema.literal('done'), rpcSchema.number())])),
+        ],
+        result: rpcSchema.nullable(rpcSchema.instance(Uint8Array)),
+        description: 'Saves a user.',
+    },
+}
+`)
+    await runRpcDeclarations([join(dir, 'api.js'), '--export', 'Api', '--out', join(dir, 'api.rpc.d.ts')])
+    strictEqual(await readFile(join(dir, 'api.rpc.d.ts'), 'utf8'), `// Generated by js-rpc2/src/declarations.js, do not edit.
+
+export interface RpcApi {
+    users: {
+        get(id: string): Promise<{id:string;name:string}>;
+    };
+    files: {
+        get(index: number): Promise<Uint8Array>;
+    };
+    /** Uploads a file. */
+    upload(name: string, stream: ReadableStream<Uint8Array> | AsyncIterable<Uint8Array>, progress?: (progress:number)=>void): Promise<any>;
+    tail(file: string): Promise<ReadableStream<any> & AsyncIterable<any>>;
+    untyped(a: any, b?: any, ...rest: any[]): Promise<any>;
+    /** Saves a user. */
+    save(user: { name: string; tags?: string[] }, notify?: (arg0: "done" | number) => Promise<void>): Promise<Uint8Array | null>;
+}
+`)
+    const bin = fileURLToPath(new URL('../bin/js-rpc2-dts.js', import.meta.url))
+    const { stdout } = await promisify(execFile)(process.execPath, [bin, join(dir, 'api.js'), '--export', 'Api'])
+    strictEqual(stdout, await readFile(join(dir, 'api.rpc.d.ts'), 'utf8'), 'the js-rpc2-dts command prints the same declarations')
+})
+
+test('cli', async () => {
+    // node --test-name-pattern="^cli$" src/lib.test.js
+    const extension = {
+        /**
+         * @param {string} name
+         * @param {(progress:number)=>Promise<void>} progress
+         */
+        async hello(name, progress) {
+            await progress(50)
+            return `hello ${name}`
+        },
+        /** @param {number} n */
+        async *count(n) {
+            for (let i = 0; i < n; i++) {
+                yield i
+            }
+        },
+        users: {
+            /** @param {{id:string}} query */
+            async get(query) {
+                return { ...query, locale: extension.asyncLocalStorage.getStore().rpc.metadata.locale }
+            },
+        },
+        /** @type{AsyncLocalStorage<{rpc:import('./types.js').RPC_CALL_CONTEXT;ws:import('ws').WebSocket;request:import('node:http').IncomingMessage;client:any}>} */
+        asyncLocalStorage: new AsyncLocalStorage(),
+    }
+    await runWithAbortController(async (ac) => {
+        const app = new Koa()
+        const router = new Router()
+        app.use(router.routes())
+        let server = createServer(/** @type{import('node:http').RequestListener} */(app.callback()))
+        ac.signal.addEventListener('abort', () => { server.close() })
+        createRpcServerKoaRouter({ path: '/cli', router, rpcKey: 'cli', extension })
+        server.listen(9000)
+        await sleep(100)
+
+        /**
+         * @param {string[]} args
+         * @param {string} [input]
+         */
+        async function run(args, input = '') {
+            let output = new PassThrough()
+            let error = new PassThrough()
+            let code = await runRpcCli(['http://127.0.0.1:9000/cli', '-k', 'cli', ...args], { input: Readable.from([input]), output, error })
+            output.end()
+            error.end()
+            return { code, output: (await output.toArray()).join(''), error: (await error.toArray()).join('') }
+        }
+        const info = console.info
+        let hello = run(['hello', 'world', '@callback'])
+        strictEqual(console.info, info, 'the globals stay untouched')
+        deepStrictEqual(await hello, { code: 0, output: "callback[0] 50\n'hello world'\n", error: '' })
+        deepStrictEqual(await run(['count', '3', '--json']), { code: 0, output: '0\n1\n2\n', error: '' })
+        deepStrictEqual(await run(['users.get', '{"id":"1"}', '-m', 'locale=en', '--json']), { code: 0, output: '{"id":"1","locale":"en"}\n', error: '' })
+        let missing = await run(['missing'])
+        deepStrictEqual([missing.code, missing.error], [1, 'error: rpc method not found: missing (RPC_METHOD_NOT_FOUND)\n'])
+        strictEqual((await run([])).code, 2)
+
+        let repl = await run(['--repl', '--json'], '.methods\nhello "a b" @callback\nusers.get {"id": "2"}\n.exit\n')
+        strictEqual(repl.code, 0)
+        // the input ends at once, so there are no prompts after the first one
+        strictEqual(repl.output, 'rpc> hello\ncount\nusers.get\ncallback[0] 50\n"hello a b"\n{"id":"2"}\n')
+
+        const wss = new WebSocketServer({ port: 9001 })
+        ac.signal.addEventListener('abort', () => { wss.close() })
+        createRpcServerWebSocket({ path: '/cli', wss, rpcKey: 'cli', extension })
+        const bin = fileURLToPath(new URL('../bin/js-rpc2.js', import.meta.url))
+        const { stdout } = await promisify(execFile)(process.execPath, [bin, 'ws://127.0.0.1:9001/cli', '-k', 'cli', 'count', '2', '--json'])
+        strictEqual(stdout, '0\n1\n', 'the output of --json is only the results')
+
+        // Node.js 20 has no global WebSocket
+        const websocket = globalThis.WebSocket
+        Reflect.deleteProperty(globalThis, 'WebSocket')
+        try {
+            let error = new PassThrough()
+            strictEqual(await runRpcCli(['ws://127.0.0.1:9001/cli', 'count', '2'], { output: new PassThrough(), error }), 2)
+            error.end()
+            ok((await error.toArray()).join('').includes('needs a global WebSocket'))
+        } finally {
+            Object.assign(globalThis, { WebSocket: websocket })
+        }
+    })
+})
+
+test('http-adapters', async () => {
+    // node --test-name-pattern="^http-adapters$" src/lib.test.js
+    const extension = {
+        /** @param {string} name */
+        async hello(name) {
+            let { request } = extension.asyncLocalStorage.getStore()
+            return `hello ${name} from ${request instanceof Request ? 'fetch' : 'node'}`
+        },
+        /** @param {number} n */
+        async *count(n) {
+            for (let i = 0; i < n; i++) {
+                yield i
+            }
+        },
+        /** @type{AsyncLocalStorage<{request:any;response:any}>} the node adapter adds the response */
+        asyncLocalStorage: new AsyncLocalStorage(),
+    }
+    await runWithAbortController(async (ac) => {
+        const node = createRpcServerNodeHttp({ rpcKey: 'http', extension })
+        const fetchHandler = createRpcServerFetch({ rpcKey: 'http', extension })
+        let server = createServer(async (req, res) => {
+            if (req.url == '/node') {
+                await node(req, res)
+                return
+            }
+            // what a runtime with the Fetch API does for its handler
+            /** @type{object} */
+            let body = Readable.toWeb(req)
+            let request = new Request(`http://127.0.0.1:9000${req.url}`, {
+                method: req.method, headers: /** @type{any} */(req.headers),
+                body: req.method == 'POST' ? /** @type{ReadableStream} */(body) : null,
+                // @ts-ignore
+                duplex: 'half',
+            })
+            let response = await fetchHandler(request)
+            res.writeHead(response.status, Object.fromEntries(response.headers))
+            if (response.body) {
+                /** @type{object} */
+                let b = response.body
+                await pipeline(Readable.fromWeb(b), res)
+            } else {
+                res.end()
+            }
+        })
+        ac.signal.addEventListener('abort', () => { server.close() })
+        server.listen(9000)
+        await sleep(100)
+
+        for (const [path, from] of [['/node', 'node'], ['/fetch', 'fetch']]) {
+            /** @type{typeof extension} */
+            let rpc = createRpcClientHttp({ url: `http://127.0.0.1:9000${path}`, rpcKey: 'http', timeout: 1000 })
+            strictEqual(await rpc.hello('rpc'), `hello rpc from ${from}`)
+            let chunks = []
+            for await (const chunk of /** @type{any} */(await rpc.count(3))) {
+                chunks.push(chunk)
+            }
+            deepStrictEqual(chunks, [0, 1, 2])
+            let other = createRpcClientHttp({ url: `http://127.0.0.1:9000${path}`, rpcKey: 'other', timeout: 1000 })
+            await rejects(other.hello('rpc'))
+            let get = await fetch(`http://127.0.0.1:9000${path}`)
+            strictEqual(get.status, 405)
+            strictEqual(get.headers.get('allow'), 'GET, POST')
+        }
+    })
+})
+
+test('http-batch', async () => {
+    // node --test-name-pattern="^http-batch$" src/lib.test.js
+    const extension = {
+        asyncLocalStorage: new AsyncLocalStorage(),
+        /** @param {number} n */
+        async double(n) {
+            return n * 2
+        },
+        /** @param {number} ms */
+        async slow(ms) {
+            await sleep(ms)
+            return ms
+        },
+    }
+    await runWithAbortController(async (ac) => {
+        const app = new Koa()
+        const router = new Router()
+        let posts = 0
+        app.use(async (ctx, next) => {
+            posts++
+            await next()
+        })
+        app.use(router.routes())
+        let server = createServer(/** @type{import('node:http').RequestListener} */(app.callback()))
+        ac.signal.addEventListener('abort', () => { server.close() })
+        createRpcServerKoaRouter({ path: '/batch', router, rpcKey: 'batch', extension })
+        server.listen(9000)
+        await sleep(100)
+
+        /**
+         * @param {false|{wait?:number;maxBytes?:number;}} batch
+         * @returns {typeof extension}
+         */
+        const connect = (batch) => createRpcClientHttp({ url: 'http://127.0.0.1:9000/batch', rpcKey: 'batch', batch, timeout: 2000 })
+        const numbers = Array.from({ length: 30 }, (_, i) => i)
+
+        let rpc = connect({ wait: 20 })
+        posts = 0
+        deepStrictEqual(await Promise.all(numbers.map((n) => rpc.double(n))), numbers.map((n) => n * 2))
+        strictEqual(posts, 1)
+
+        rpc = connect(false)
+        posts = 0
+        deepStrictEqual(await Promise.all(numbers.map((n) => rpc.double(n))), numbers.map((n) => n * 2))
+        strictEqual(posts, 30)
+
+        rpc = connect({ wait: 20, maxBytes: 1 })
+        posts = 0
+        await Promise.all(numbers.map((n) => rpc.double(n)))
+        strictEqual(posts, 30)
+
+        // the answers of a batch arrive as each call completes
+        rpc = connect({ wait: 20 })
+        posts = 0
+        let time = performance.now()
+        let slow = rpc.slow(1000)
+        strictEqual(await rpc.double(1), 2)
+        ok(performance.now() - time < 500, 'not held back by the slow call')
+        strictEqual(await slow, 1000)
+        strictEqual(posts, 1)
+    })
+})
+
+test('http-stream', async () => {
+    // node --test-name-pattern="^http-stream$" src/lib.test.js
+    const extension = {
+        asyncLocalStorage: new AsyncLocalStorage(),
+        /**
+         * @param {string} name
+         * @param {(progress:number)=>Promise<void>} progress
+         */
+        async hello(name, progress) {
+            await progress(50)
+            return `hello ${name}`
+        },
+        /** @param {number} n */
+        async *count(n) {
+            for (let i = 0; i < n; i++) {
+                yield i
+            }
+        },
+        /** @param {number} ms */
+        async wait(ms) {
+            await sleep(ms)
+            return ms
+        },
+    }
+    const { privateKey, publicKey } = await generateRpcServerKey()
+    await runWithAbortController(async (ac) => {
+        const app = new Koa()
+        const router = new Router()
+        let posts = 0
+        let cuts = 0
+        app.use(async (ctx, next) => {
+            posts++
+            if (ctx.path == '/cut' && cuts++ == 0) {
+                // the request ends in the middle of a frame
+                ctx.body = Buffer.from((await buildBufferData([new Uint8Array(40)], null)).subarray(0, 20))
+                return
+            }
+            if (ctx.path == '/cut') {
+                ctx.path = '/stream'
+            }
+            await next()
+        })
+        app.use(router.routes())
+        let server = createServer(/** @type{import('node:http').RequestListener} */(app.callback()))
+        ac.signal.addEventListener('abort', () => { server.close() })
+        createRpcServerKoaRouter({ path: '/stream', router, rpcKey: 'stream', extension })
+        createRpcServerKoaRouter({ path: '/handshake', router, rpcKey: 'psk', extension, handshake: { serverKey: privateKey } })
+        server.listen(9000)
+        await sleep(100)
+
+        /** @type{typeof extension} */
+        let rpc = createRpcClientHttpStream({ url: 'http://127.0.0.1:9000/stream', rpcKey: 'stream', signal: ac.signal, timeout: 2000 })
+        let progress = []
+        strictEqual(await rpc.hello('stream', async (value) => { progress.push(value) }), 'hello stream')
+        deepStrictEqual(progress, [50])
+        let chunks = []
+        for await (const chunk of /** @type{any} */(await rpc.count(3))) {
+            chunks.push(chunk)
+        }
+        deepStrictEqual(chunks, [0, 1, 2])
+        deepStrictEqual(await Promise.all([rpc.hello('a', async () => { }), rpc.hello('b', async () => { })]), ['hello a', 'hello b'])
+        strictEqual(posts, 1, 'all calls share one request')
+
+        // a dropped request is opened again
+        server.closeAllConnections()
+        await sleep(1000)
+        strictEqual(await rpc.hello('again', async () => { }), 'hello again')
+        strictEqual(posts, 2)
+
+        // the calls of a dropped request fail at once
+        let waiting = rpc.wait(1500)
+        await sleep(100)
+        server.closeAllConnections()
+        await rejects(waiting, /rpc connection closed/)
+
+        /** @type{typeof extension} */
+        let cut = createRpcClientHttpStream({ url: 'http://127.0.0.1:9000/cut', rpcKey: 'stream', signal: ac.signal, timeout: 2000 })
+        await rejects(cut.hello('cut', async () => { }), /rpc connection closed/)
+        await sleep(1000)
+        strictEqual(await cut.hello('cut', async () => { }), 'hello cut', 'the part of a frame is not read with the next request')
+
+        /** @type{typeof extension} */
+        let secure = createRpcClientHttpStream({ url: 'http://127.0.0.1:9000/handshake', rpcKey: 'psk', signal: ac.signal, timeout: 2000, handshake: { serverKey: publicKey } })
+        strictEqual(await secure.hello('handshake', async () => { }), 'hello handshake')
+    })
+})
+
+test('event-source', async () => {
+    // node --test-name-pattern="^event-source$" src/lib.test.js
+    const extension = {
+        asyncLocalStorage: new AsyncLocalStorage(),
+        /**
+         * @param {number} n
+         * @param {(tick:number)=>Promise<void>} onTick
+         */
+        async watch(n, onTick) {
+            for (let i = 0; i < n; i++) {
+                await onTick(i)
+            }
+            return n
+        },
+        /** @param {number} n */
+        async *count(n) {
+            for (let i = 0; i < n; i++) {
+                yield i
+            }
+        },
+        /** @param {number} ms */
+        async wait(ms) {
+            await sleep(ms)
+            return ms
+        },
+    }
+    const { privateKey, publicKey } = await generateRpcServerKey()
+    await runWithAbortController(async (ac) => {
+        const app = new Koa()
+        const router = new Router()
+        app.use(router.routes())
+        let server = createServer(/** @type{import('node:http').RequestListener} */(app.callback()))
+        ac.signal.addEventListener('abort', () => { server.close() })
+        /** @type{import('./types.js').RPC_EVENT[]} */
+        let events = []
+        createRpcServerKoaRouter({ path: '/events', router, rpcKey: 'events', extension, onEvent: (e) => { events.push(e) } })
+        createRpcServerKoaRouter({ path: '/handshake', router, rpcKey: 'psk', extension, handshake: { serverKey: privateKey } })
+        server.listen(9000)
+        await sleep(100)
+
+        /** @type{typeof extension} */
+        let rpc = createRpcClientEventSource({ url: 'http://127.0.0.1:9000/events', rpcKey: 'events', signal: ac.signal, timeout: 2000 })
+        let ticks = []
+        strictEqual(await rpc.watch(3, async (tick) => { ticks.push(tick) }), 3)
+        deepStrictEqual(ticks, [0, 1, 2])
+        let chunks = []
+        for await (const chunk of /** @type{any} */(await rpc.count(3))) {
+            chunks.push(chunk)
+        }
+        deepStrictEqual(chunks, [0, 1, 2])
+        deepStrictEqual(await Promise.all([1, 2, 3].map((n) => rpc.watch(n, async () => { }))), [1, 2, 3])
+        strictEqual(events.filter((e) => e.type == 'connection-open').length, 1, 'the calls share one event stream')
+
+        let res = await fetch('http://127.0.0.1:9000/events', { method: 'POST', headers: { 'x-rpc-event-stream': 'unknown' }, body: new Uint8Array(8) })
+        strictEqual(res.status, 404)
+
+        // a dropped event stream is opened again
+        server.closeAllConnections()
+        await sleep(1000)
+        strictEqual(await rpc.watch(1, async () => { }), 1)
+
+        // the calls of a dropped event stream fail at once
+        let waiting = rpc.wait(1500)
+        await sleep(100)
+        server.closeAllConnections()
+        await rejects(waiting, /rpc connection closed/)
+        await sleep(1000)
+        strictEqual(await rpc.watch(1, async () => { }), 1)
+
+        /** @type{typeof extension} */
+        let secure = createRpcClientEventSource({ url: 'http://127.0.0.1:9000/handshake', rpcKey: 'psk', signal: ac.signal, timeout: 2000, handshake: { serverKey: publicKey } })
+        strictEqual(await secure.watch(2, async () => { }), 2)
+    })
+})
+
+test('net', async () => {
+    // node --test-name-pattern="^net$" src/lib.test.js
+    const extension = {
+        /** @param {string} name */
+        async hello(name) {
+            return `hello ${name}`
+        },
+        /** @param {Uint8Array} buffer */
+        async echo(buffer) {
+            return buffer
+        },
+        async ask() {
+            return await extension.asyncLocalStorage.getStore().client.name()
+        },
+        /** @type{AsyncLocalStorage<{socket:import('node:net').Socket;client:any;}>} */
+        asyncLocalStorage: new AsyncLocalStorage(),
+    }
+    const { privateKey, publicKey } = await generateRpcServerKey()
+    let dir = await mkdtemp(join(tmpdir(), 'js-rpc2-net-'))
+    await runWithAbortController(async (ac) => {
+        /** @type{Set<import('node:net').Socket>} */
+        let sockets = new Set()
+        let tcp = createNetServer((socket) => {
+            sockets.add(socket)
+            socket.once('close', () => { sockets.delete(socket) })
+        })
+        let unix = createNetServer()
+        let secure = createNetServer()
+        ac.signal.addEventListener('abort', () => {
+            tcp.close()
+            unix.close()
+            secure.close()
+        })
+        createRpcServerNet({ server: tcp, rpcKey: 'net', extension })
+        createRpcServerNet({ server: unix, rpcKey: 'net', extension })
+        createRpcServerNet({ server: secure, rpcKey: 'psk', extension, handshake: { serverKey: privateKey } })
+        tcp.listen(9000)
+        unix.listen(join(dir, 'rpc.sock'))
+        secure.listen(9001)
+        await sleep(100)
+
+        /** @type{typeof extension} */
+        let rpc = createRpcClientNet({ connect: { port: 9000, host: '127.0.0.1' }, rpcKey: 'net', signal: ac.signal, timeout: 5000, extension: { async name() { return 'tcp client' } } })
+        strictEqual(await rpc.hello('tcp'), 'hello tcp')
+        strictEqual(await rpc.ask(), 'tcp client')
+
+        // more than the socket buffers at once
+        let buffers = Array.from({ length: 20 }, (_, i) => new Uint8Array(256 * 1024).fill(i))
+        let echoes = await Promise.all(buffers.map((o) => rpc.echo(o)))
+        ok(echoes.every((o, i) => o.length == buffers[i].length && o[0] == i && o.at(-1) == i))
+
+        // a dropped connection is opened again
+        for (const socket of sockets) {
+            socket.destroy()
+        }
+        await sleep(1000)
+        strictEqual(await rpc.hello('again'), 'hello again')
+
+        /** @type{typeof extension} */
+        let local = createRpcClientNet({ connect: { path: join(dir, 'rpc.sock') }, rpcKey: 'net', signal: ac.signal, timeout: 2000 })
+        strictEqual(await local.hello('unix'), 'hello unix')
+
+        /** @type{typeof extension} */
+        let encrypted = createRpcClientNet({ connect: { port: 9001, host: '127.0.0.1' }, rpcKey: 'psk', signal: ac.signal, timeout: 2000, handshake: { serverKey: publicKey } })
+        strictEqual(await encrypted.hello('handshake'), 'hello handshake')
+
+        /** @type{typeof extension} */
+        let wrong = createRpcClientNet({ connect: { port: 9000, host: '127.0.0.1' }, rpcKey: 'other', signal: ac.signal, timeout: 500 })
+        await rejects(wrong.hello('wrong key'))
+    })
+    await rm(dir, { recursive: true, force: true })
+})
+
+test('replay-connection', async () => {
+    // node --test-name-pattern="^replay-connection$" src/lib.test.js
+    let transfers = 0
+    const extension = {
+        asyncLocalStorage: new AsyncLocalStorage(),
+        /** @param {number} amount */
+        async transfer(amount) {
+            transfers++
+            return amount
+        },
+    }
+    await runWithAbortController(async (ac) => {
+        let server = createNetServer()
+        createRpcServerNet({ server, rpcKey: 'net', extension })
+        /** @type{Buffer[]} */
+        let recorded = []
+        // records what the client sends to the server
+        let proxy = createNetServer((socket) => {
+            let upstream = connect({ port: 9000, host: '127.0.0.1' })
+            socket.on('data', (/** @type{Buffer} */ data) => {
+                recorded.push(data)
+                upstream.write(data)
+            })
+            upstream.pipe(socket)
+            socket.once('close', () => { upstream.destroy() })
+            upstream.on('error', () => { socket.destroy() })
+        })
+        ac.signal.addEventListener('abort', () => {
+            server.close()
+            proxy.close()
+        })
+        server.listen(9000)
+        proxy.listen(9001)
+        await sleep(100)
+
+        /** @type{typeof extension} */
+        let rpc = createRpcClientNet({ connect: { port: 9001, host: '127.0.0.1' }, rpcKey: 'net', signal: ac.signal, timeout: 2000 })
+        strictEqual(await rpc.transfer(100), 100)
+        strictEqual(transfers, 1)
+
+        let replay = connect({ port: 9000, host: '127.0.0.1' })
+        replay.on('error', () => { })
+        await new Promise((resolve) => replay.once('connect', resolve))
+        replay.write(Buffer.concat(recorded))
+        await sleep(300)
+        replay.destroy()
+        strictEqual(transfers, 1, 'a call recorded on one connection does not run again on another')
+    })
+})
+
+test('net-reconnect', async () => {
+    // node --test-name-pattern="^net-reconnect$" src/lib.test.js
+    const extension = {
+        asyncLocalStorage: new AsyncLocalStorage(),
+        /** @param {string} name */
+        async hello(name) {
+            return `hello ${name}`
+        },
+    }
+    await runWithAbortController(async (ac) => {
+        let rpcServer = createNetServer()
+        createRpcServerNet({ server: rpcServer, rpcKey: 'net', extension })
+        let connections = 0
+        let tcp = createNetServer((socket) => {
+            if (++connections > 1) {
+                rpcServer.emit('connection', socket)
+                return
+            }
+            // the first connection drops in the middle of a frame once the call arrived
+            socket.once('data', () => {
+                socket.end(Uint8Array.of(100, 0, 0, 0, 0x5f, 0x70, 0xf7, 0xb1, 1, 2, 3))
+            })
+        })
+        ac.signal.addEventListener('abort', () => { tcp.close() })
+        tcp.listen(9000)
+        await sleep(100)
+
+        /** @type{typeof extension} */
+        let rpc = createRpcClientNet({ connect: { port: 9000, host: '127.0.0.1' }, rpcKey: 'net', signal: ac.signal, timeout: 5000 })
+        await rejects(rpc.hello('dropped'), (/** @type {any} */ error) => error.message == 'rpc connection closed', 'the calls of a closed connection are rejected')
+        await sleep(1000)
+        strictEqual(await rpc.hello('again'), 'hello again', 'the part of a frame of the closed connection is dropped')
+        strictEqual(connections, 2)
+    })
+})
+
+test('disconnect', async () => {
+    // node --test-name-pattern="^disconnect$" src/lib.test.js
+    /** @type{string[]} */
+    let log = []
+    const extension = {
+        asyncLocalStorage: new AsyncLocalStorage(),
+        /** @param {string} name */
+        async *ticks(name) {
+            try {
+                for (let i = 0; ; i++) {
+                    yield i
+                }
+            } finally {
+                log.push(`${name} ticks finally`)
+            }
+        },
+        /**
+         * @param {string} name
+         * @param {AsyncIterable<number>} source
+         */
+        async upload(name, source) {
+            try {
+                for await (const _ of source) { }
+            } catch (error) {
+                log.push(`${name} upload ${error.message}`)
+            }
+        },
+        /**
+         * @param {string} name
+         * @param {AbortSignal} signal
+         */
+        async wait(name, signal) {
+            await new Promise((resolve) => { signal.addEventListener('abort', resolve) })
+            log.push(`${name} wait aborted`)
+        },
+    }
+    await runWithAbortController(async (ac) => {
+        let tcp = createNetServer()
+        let server = createServer()
+        ac.signal.addEventListener('abort', () => {
+            tcp.close()
+            server.close()
+        })
+        createRpcServerNet({ server: tcp, rpcKey: 'disconnect', extension })
+        createRpcServerWebSocket({ path: '/disconnect', wss: new WebSocketServer({ server }), rpcKey: 'disconnect', extension })
+        tcp.listen(9000)
+        server.listen(9001)
+        await sleep(100)
+
+        const clients = {
+            net: (/** @type {AbortSignal} */ signal) => createRpcClientNet({ connect: { port: 9000, host: '127.0.0.1' }, rpcKey: 'disconnect', signal }),
+            ws: (/** @type {AbortSignal} */ signal) => createRpcClientWebSocket({ url: 'ws://127.0.0.1:9001/disconnect', rpcKey: 'disconnect', signal }),
+        }
+        for (const [name, connect] of Object.entries(clients)) {
+            let client = new AbortController()
+            /** @type{typeof extension} */
+            let rpc = connect(client.signal)
+            let ticks = (await rpc.ticks(name))[Symbol.asyncIterator]()
+            strictEqual((await ticks.next()).value, 0)
+            rpc.upload(name, (async function* () {
+                yield 1
+                await sleep(10_000)
+            })()).catch(() => { })
+            rpc.wait(name, new AbortController().signal).catch(() => { })
+            await sleep(200)
+            client.abort()
+            await sleep(500)
+            deepStrictEqual(log.sort(), [`${name} ticks finally`, `${name} upload rpc connection closed`, `${name} wait aborted`])
+            log = []
+        }
+    })
+})
+
+test('revoked-key-session', async () => {
+    // node --test-name-pattern="^revoked-key-session$" src/lib.test.js
+    const extension = {
+        asyncLocalStorage: new AsyncLocalStorage(),
+        async hello() {
+            return 'hello'
+        },
+    }
+    const { privateKey, publicKey } = await generateRpcServerKey()
+    let revoked = false
+    await runWithAbortController(async (ac) => {
+        const app = new Koa()
+        const router = new Router()
+        app.use(router.routes())
+        let server = createServer(/** @type{import('node:http').RequestListener} */(app.callback()))
+        ac.signal.addEventListener('abort', () => { server.close() })
+        createRpcServerKoaRouter({ path: '/revoke', router, resolveKey: () => revoked ? null : 'psk', extension, handshake: { serverKey: privateKey } })
+        server.listen(9000)
+        await sleep(100)
+
+        /** @type{typeof extension} */
+        let http = createRpcClientHttp({ url: 'http://127.0.0.1:9000/revoke', rpcKey: 'psk', timeout: 1000, handshake: { serverKey: publicKey } })
+        strictEqual(await http.hello(), 'hello')
+        revoked = true
+        await rejects(http.hello(), /401/)
+        // the session does not outlive the revocation of its key
+        revoked = false
+        await rejects(http.hello(), /401/)
+    })
+})
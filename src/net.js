@@ -0,0 +1,191 @@
+import { AsyncLocalStorage } from 'node:async_hooks'
+import { connect } from 'node:net'
+import { Duplex } from 'node:stream'
+import { createRPCProxy, createRpcClientHelper, createRpcFrameStreams, createRpcHandshakeStreams, createRpcServerHelper, emitRpcEvent, getRpcConnectionHandshake, Promise_withResolvers, timeWaitRetryLoop } from './lib.js'
+
+/**
+ * @import { NetConnectOpts, Server, Socket } from 'node:net'
+ * @import { RPC_HANDSHAKE_OPTIONS } from './lib.js'
+ * @import { RPC_CALL_CONTEXT, RPC_CLIENT_METADATA, RPC_EVENT, RPC_INVOKE_CONTEXT, RPC_METHOD_SCHEMA, RPC_MIDDLEWARE, RPC_TRACER } from './types.js'
+ */
+
+/**
+ * Serves the connections of a `node:net` server, listening on a TCP port or a Unix socket, see
+ * `createRpcClientNet`. The socket carries the frames of the helpers as they are, and is paused
+ * while the helper has not taken what it read. `client` in the store of `extension.asyncLocalStorage`
+ * is a proxy of the extension registered by the client of the connection.
+ * @param {{
+ * server: Server;
+ * rpcKey?:string;
+ * resolveKey?:(socket:Socket)=>string|Promise<string>;
+ * extension: {asyncLocalStorage?:AsyncLocalStorage<{socket:Socket;client:any;}>;};
+ * logger?:(msg:string)=>void;
+ * timeout?:number;
+ * allowMethods?:string[];
+ * denyMethods?:string[];
+ * stripErrorStack?:boolean;
+ * handshake?: RPC_HANDSHAKE_OPTIONS;
+ * middleware?: RPC_MIDDLEWARE<RPC_CALL_CONTEXT>[];
+ * services?: Map<string,object>;
+ * schemas?: Record<string,RPC_METHOD_SCHEMA>;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
+ * }} param every connection with a `rpcKey` runs a key exchange, see `getRpcConnectionHandshake`,
+ * `handshake` adds `serverKey`, the private key here. `resolveKey` picks the `rpcKey` of each connection from its socket, e.g. by its remote address,
+ * it returns null to refuse the connection
+ */
+export function createRpcServerNet(param) {
+    let asyncLocalStorage = param.extension.asyncLocalStorage
+    if (!asyncLocalStorage) { asyncLocalStorage = new AsyncLocalStorage() }
+    let active = 0
+    param.server.on('connection', (socket) => {
+        socket.setNoDelay(true)
+        socket.on('error', (error) => {
+            console.error('createRpcServerNet connection socket error', error)
+        })
+        // nothing is read before the helper with the key of the connection exists
+        socket.pause()
+        Promise.resolve(param.resolveKey ? param.resolveKey(socket) : param.rpcKey ?? '').then((rpcKey) => {
+            if (rpcKey != null) {
+                serve(socket, rpcKey)
+            } else {
+                socket.destroy()
+            }
+        }).catch((error) => {
+            console.error('createRpcServerNet resolveKey error', error)
+            socket.destroy()
+        })
+    })
+
+    /**
+     * @param {Socket} socket
+     * @param {string} rpcKey
+     */
+    function serve(socket, rpcKey) {
+        let helper = createRpcServerHelper({
+            rpcKey, extension: param.extension, async: true, logger: param.logger, timeout: param.timeout,
+            allowMethods: param.allowMethods, denyMethods: param.denyMethods, stripErrorStack: param.stripErrorStack,
+            handshake: getRpcConnectionHandshake(rpcKey, param.handshake), middleware: param.middleware, services: param.services, schemas: param.schemas, tracer: param.tracer, onEvent: param.onEvent,
+        })
+        let client = createRPCProxy(helper.apiInvoke)
+        emitRpcEvent(param.onEvent, { type: 'connection-open', side: 'server', active: ++active })
+        socket.once('close', () => {
+            helper.reject(new Error('rpc connection closed'))
+            emitRpcEvent(param.onEvent, { type: 'connection-close', side: 'server', active: --active })
+        })
+        let { readable, writable } = Duplex.toWeb(socket)
+        helper.readable.pipeTo(writable).catch((error) => {
+            console.error('createRpcServerNet connection send error', error)
+            socket.destroy()
+        })
+        readable.pipeThrough(new TransformStream({
+            async transform(chunk, controller) {
+                asyncLocalStorage.enterWith({ socket, client })
+                controller.enqueue(chunk)
+            }
+        })).pipeTo(helper.writable).catch((error) => {
+            console.error('createRpcServerNet connection receive error', error)
+            socket.destroy()
+        })
+    }
+}
+
+/**
+ * Connects to `createRpcServerNet` with the options of `net.connect`, `{ port, host }` for TCP or
+ * `{ path }` for a Unix socket, and reconnects like `createRpcClientWebSocket` when the connection
+ * ends. Frames wait while the socket is not connected or its buffer is full. Every connection has
+ * its own frame streams, and the calls still running when it closes are rejected.
+ * @param {{
+ * connect: NetConnectOpts;
+ * rpcKey?:string;
+ * signal:AbortSignal;
+ * timeout?:number;
+ * extension?: object;
+ * logger?:(msg:string)=>void;
+ * errorClasses?: (new (...args:any[]) => Error)[];
+ * handshake?: RPC_HANDSHAKE_OPTIONS;
+ * middleware?: RPC_MIDDLEWARE<RPC_CALL_CONTEXT>[];
+ * services?: Map<string,object>;
+ * schemas?: Record<string,RPC_METHOD_SCHEMA>;
+ * callMiddleware?: RPC_MIDDLEWARE<RPC_INVOKE_CONTEXT>[];
+ * metadata?: RPC_CLIENT_METADATA;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
+ * }} param every connection with a `rpcKey` runs a key exchange, see `getRpcConnectionHandshake`,
+ * `handshake` adds the `serverKey` of the server
+ */
+export function createRpcClientNet(param) {
+    const handshake = getRpcConnectionHandshake(param.rpcKey, param.handshake)
+    let helper = createRpcClientHelper({
+        rpcKey: '', timeout: param.timeout, extension: param.extension, logger: param.logger, errorClasses: param.errorClasses,
+        middleware: param.middleware, services: param.services, schemas: param.schemas, callMiddleware: param.callMiddleware, metadata: param.metadata, tracer: param.tracer, onEvent: param.onEvent,
+    })
+    let writer = helper.writable.getWriter()
+    let signal = Promise_withResolvers()
+    /** @type{WritableStreamDefaultWriter<Uint8Array<ArrayBuffer>>} */
+    let socketWriter = null
+    helper.readable.pipeTo(new WritableStream({
+        async write(chunk) {
+            while (!param.signal.aborted && socketWriter == null) {
+                await signal.promise
+            }
+            if (!param.signal.aborted) {
+                await socketWriter.write(chunk).catch((e) => {
+                    helper.reject(e)
+                })
+            }
+        }
+    }))
+    async function createSocket() {
+        let socket = connect(param.connect)
+        const listenerAC = () => { socket.destroy() }
+        param.signal.addEventListener('abort', listenerAC)
+        let opened = false
+        try {
+            await new Promise((resolve, reject) => {
+                socket.once('connect', resolve)
+                socket.once('error', reject)
+            })
+            console.info('createRpcClientNet createSocket connect')
+            opened = true
+            socket.setNoDelay(true)
+            socket.setKeepAlive(true)
+            emitRpcEvent(param.onEvent, { type: 'connection-open', side: 'client', active: 1 })
+            let { readable, writable } = Duplex.toWeb(socket)
+            // a frame cut off by the socket before stays with it and never reaches the helper
+            let streams = handshake ? createRpcHandshakeStreams(param.rpcKey, 'client', handshake) : createRpcFrameStreams('', 'client')
+            const fail = (/** @type {any} */ e) => {
+                console.error('createRpcClientNet frame error', e)
+                socket.destroy()
+            }
+            streams.encode.readable.pipeTo(/** @type{WritableStream<Uint8Array<ArrayBuffer>>} */(/** @type{any} */(writable))).catch(fail)
+            streams.decode.readable.pipeTo(new WritableStream({
+                async write(chunk) {
+                    await writer.write(chunk)
+                }
+            })).catch(fail)
+            socketWriter = streams.encode.writable.getWriter()
+            signal.resolve()
+            await readable.pipeTo(streams.decode.writable)
+        } catch (error) {
+            console.error('createRpcClientNet createSocket error', error)
+        } finally {
+            param.signal.removeEventListener('abort', listenerAC)
+            socket.destroy()
+            console.info('createRpcClientNet createSocket close')
+            if (opened) {
+                helper.reject(new Error('rpc connection closed'))
+                emitRpcEvent(param.onEvent, { type: 'connection-close', side: 'client', active: 0 })
+            }
+            socketWriter = null
+            signal.resolve()
+            signal = Promise_withResolvers()
+        }
+    }
+    timeWaitRetryLoop(param.signal, async () => {
+        console.info('createRpcClientNet timeWaitRetryLoop createSocket')
+        await createSocket()
+    })
+
+    return createRPCProxy(helper.apiInvoke)
+}
@@ -1,25 +1,40 @@
 import { Readable } from "node:stream"
-import { createRpcServerHelper } from "./lib.js"
+import { pipeline } from "node:stream/promises"
+import { createRPCProxy, createRpcHttpHandler, getRpcConnectionHandshake, createRpcMetrics, createRpcServerHelper, emitRpcEvent, RPC_HTTP_SESSION_TIMEOUT } from "./lib.js"
 import { AsyncLocalStorage } from "node:async_hooks"
 
 /**
- * @import { IncomingMessage } from "node:http"
+ * @import { IncomingMessage, ServerResponse } from "node:http"
  * @import {WebSocket, WebSocketServer} from 'ws'
  */
 
-export { createRpcServerHelper }
+export { createRpcServerHelper, RPC_HTTP_SESSION_TIMEOUT }
 
 /**
  * @import Router from '@koa/router'
+ * @import { RPC_HANDSHAKE_OPTIONS } from './lib.js'
+ * @import { RPC_CALL_CONTEXT, RPC_EVENT, RPC_METHOD_SCHEMA, RPC_MIDDLEWARE, RPC_TRACER } from './types.js'
+ * @typedef {(request:IncomingMessage)=>string|Promise<string>} RPC_RESOLVE_KEY
  */
 
 /**
  * @param {{
  * path: string; 
  * wss: WebSocketServer; 
- * rpcKey:string;
- * extension: {asyncLocalStorage:AsyncLocalStorage<{ws:WebSocket;request:IncomingMessage;}>;}; 
+ * rpcKey?:string;
+ * resolveKey?:RPC_RESOLVE_KEY;
+ * extension: {asyncLocalStorage:AsyncLocalStorage<{ws:WebSocket;request:IncomingMessage;client:any;}>;}; 
  * logger?:(msg:string)=>void;
+ * timeout?:number;
+ * allowMethods?:string[];
+ * denyMethods?:string[];
+ * stripErrorStack?:boolean;
+ * handshake?: RPC_HANDSHAKE_OPTIONS;
+ * middleware?: RPC_MIDDLEWARE<RPC_CALL_CONTEXT>[];
+ * services?: Map<string,object>;
+ * schemas?: Record<string,RPC_METHOD_SCHEMA>;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
  * }} param
  */
 export function createRpcServerWebSocket(param) {
@@ -30,27 +45,81 @@ export function createRpcServerWebSocket(param) {
 }
 
 /**
+ * `client` in the store of `extension.asyncLocalStorage` is a proxy of the extension registered by
+ * the client of the connection, see the `extension` option of `createRpcClientWebSocket`.
  * @param {{
  * path: string; 
- * rpcKey:string;
- * extension: {asyncLocalStorage:AsyncLocalStorage<{ws:WebSocket;request:IncomingMessage;}>;}; 
+ * rpcKey?:string;
+ * resolveKey?:RPC_RESOLVE_KEY;
+ * extension: {asyncLocalStorage:AsyncLocalStorage<{ws:WebSocket;request:IncomingMessage;client:any;}>;}; 
  * logger?:(msg:string)=>void;
- * }} param
+ * timeout?:number;
+ * allowMethods?:string[];
+ * denyMethods?:string[];
+ * stripErrorStack?:boolean;
+ * handshake?: RPC_HANDSHAKE_OPTIONS;
+ * middleware?: RPC_MIDDLEWARE<RPC_CALL_CONTEXT>[];
+ * services?: Map<string,object>;
+ * schemas?: Record<string,RPC_METHOD_SCHEMA>;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
+ * }} param every connection with a `rpcKey` runs a key exchange, see `getRpcConnectionHandshake`,
+ * `handshake` adds `serverKey`, the private key here. `resolveKey` picks the `rpcKey` of each connection from its request, e.g. by a header or a query
+ * parameter, it returns null to refuse the connection
  */
 export function createRpcServerWebSocketOnConnection(param) {
     let asyncLocalStorage = param.extension.asyncLocalStorage
     if (!asyncLocalStorage) { asyncLocalStorage = new AsyncLocalStorage() }
+    let active = 0
     /**
      * @param {WebSocket} ws
      * @param {IncomingMessage} request
      */
     return function (ws, request) {
-        let url = request.url
+        let url = new URL(request.url, 'ws://localhost').pathname
         if (url != param.path) {
             return
         }
-        let helper = createRpcServerHelper({ rpcKey: param.rpcKey, extension: param.extension, async: true, logger: param.logger })
+        ws.on('close', () => {
+            console.info('createRpcServerWebSocket connection ws close')
+        })
+        ws.on('error', (error) => {
+            console.error('createRpcServerWebSocket connection ws error', error)
+        })
+        // no message is read before the helper with the key of the connection exists
+        ws.pause()
+        resolveRpcKey(param, request).then((rpcKey) => {
+            if (rpcKey != null) {
+                connect(ws, request, rpcKey)
+            } else {
+                ws.close(1008, 'rpc key refused')
+            }
+            ws.resume()
+        }).catch((error) => {
+            console.error('createRpcServerWebSocket resolveKey error', error)
+            ws.close(1011)
+            ws.resume()
+        })
+    }
+
+    /**
+     * @param {WebSocket} ws
+     * @param {IncomingMessage} request
+     * @param {string} rpcKey
+     */
+    function connect(ws, request, rpcKey) {
+        let helper = createRpcServerHelper({
+            rpcKey, extension: param.extension, async: true, logger: param.logger, timeout: param.timeout,
+            allowMethods: param.allowMethods, denyMethods: param.denyMethods, stripErrorStack: param.stripErrorStack,
+            handshake: getRpcConnectionHandshake(rpcKey, param.handshake), middleware: param.middleware, services: param.services, schemas: param.schemas, tracer: param.tracer, onEvent: param.onEvent,
+        })
+        let client = createRPCProxy(helper.apiInvoke)
         let writer = helper.writable.getWriter()
+        emitRpcEvent(param.onEvent, { type: 'connection-open', side: 'server', active: ++active })
+        ws.on('close', () => {
+            helper.reject(new Error('rpc connection closed'))
+            emitRpcEvent(param.onEvent, { type: 'connection-close', side: 'server', active: --active })
+        })
         helper.readable.pipeTo(new WritableStream({
             async write(chunk) {
                 await new Promise((resolve) => {
@@ -64,49 +133,142 @@ export function createRpcServerWebSocketOnConnection(param) {
             if (writer.desiredSize <= 0) {
                 ws.pause()
             }
-            asyncLocalStorage.enterWith({ ws, request })
-            await writer.write(buffer)
+            asyncLocalStorage.enterWith({ ws, request, client })
+            try {
+                await writer.write(buffer)
+            } catch (error) {
+                console.error('createRpcServerWebSocket connection receive error', error)
+                ws.close()
+            }
             ws.resume()
         })
-        ws.on('close', () => {
-            console.info('createRpcServerWebSocket connection ws close')
-        })
-        ws.on('error', (error) => {
-            console.error('createRpcServerWebSocket connection ws error', error)
-        })
     }
 }
 
+/**
+ * The key of a connection or request, `resolveKey` refuses it by returning null or throwing.
+ * @param {{ rpcKey?:string; resolveKey?:RPC_RESOLVE_KEY; }} param
+ * @param {IncomingMessage} request
+ * @returns {Promise<string>}
+ */
+async function resolveRpcKey(param, request) {
+    if (!param.resolveKey) {
+        return param.rpcKey ?? ''
+    }
+    return await param.resolveKey(request)
+}
+
 /**
  * @param {{
  * path: string; 
  * router: Router<any, {}>; 
  * rpcKey?:string;
+ * resolveKey?:RPC_RESOLVE_KEY;
  * logger?:(msg:string)=>void;
  * extension: {asyncLocalStorage:AsyncLocalStorage;}; 
- * }} param 
+ * allowMethods?:string[];
+ * denyMethods?:string[];
+ * stripErrorStack?:boolean;
+ * handshake?: RPC_HANDSHAKE_OPTIONS;
+ * middleware?: RPC_MIDDLEWARE<RPC_CALL_CONTEXT>[];
+ * services?: Map<string,object>;
+ * schemas?: Record<string,RPC_METHOD_SCHEMA>;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
+ * metrics?: ReturnType<typeof createRpcMetrics>;
+ * metricsPath?: string;
+ * }} param `handshake` requires a key exchange before the calls, a request with the `x-rpc-handshake`
+ * header gets the hello of the server and a session id, the calls then name it in `x-rpc-session`.
+ * `resolveKey` picks the `rpcKey` of every request, requests it returns null for get a 401.
+ * `metricsPath` serves the calls of this router in the Prometheus text format, they are counted in
+ * `metrics` or in a new `createRpcMetrics()`, every request counts as a connection
  */
 export function createRpcServerKoaRouter(param) {
-    let asyncLocalStorage = param.extension.asyncLocalStorage
-    if (!asyncLocalStorage) { asyncLocalStorage = new AsyncLocalStorage() }
-    param.router.post(param.path, async (ctx) => {
-        asyncLocalStorage.enterWith(ctx)
-        let helper = createRpcServerHelper({ rpcKey: param.rpcKey, extension: param.extension, logger: param.logger })
-        let a = Readable.toWeb(ctx.req)
-        await a.pipeThrough(new TransformStream({
-            async transform(chunk, controller) {
-                asyncLocalStorage.enterWith(ctx)
-                controller.enqueue(chunk)
-            }
-        })).pipeTo(helper.writable)
-        ctx.status = 200
-        ctx.response.set({
-            'Connection': 'keep-alive',
-            'Cache-Control': 'no-cache',
-            'Content-Type': 'application/octet-stream'
+    let metrics = param.metrics ?? (param.metricsPath ? createRpcMetrics() : null)
+    /** @param {RPC_EVENT} event */
+    const onEvent = (event) => {
+        emitRpcEvent(metrics?.onEvent, event)
+        emitRpcEvent(param.onEvent, event)
+    }
+    if (param.metricsPath) {
+        param.router.get(param.metricsPath, async (ctx) => {
+            ctx.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+            ctx.body = metrics.toPrometheus()
         })
+    }
+    const handler = createRpcHttpHandler({ ...param, resolveKey: (request) => resolveRpcKey(param, request), onEvent })
+    /** @type{import('@koa/router').RouterMiddleware} */
+    const route = async (ctx) => {
         /** @type{object} */
-        let b = helper.readable
-        ctx.body = Readable.fromWeb(b)
-    })
+        let body = Readable.toWeb(ctx.req)
+        let response = await handler({ method: ctx.method, header: (name) => ctx.get(name), body: /** @type{ReadableStream} */(body), request: ctx.req, store: ctx })
+        ctx.status = response.status
+        ctx.set(response.headers)
+        if (response.body instanceof ReadableStream) {
+            ctx.set('Connection', 'keep-alive')
+            /** @type{object} */
+            let b = response.body
+            ctx.body = Readable.fromWeb(b)
+        } else if (response.body) {
+            ctx.body = Buffer.from(response.body)
+        }
+    }
+    param.router.post(param.path, route)
+    // the event streams of `createRpcClientEventSource`
+    param.router.get(param.path, route)
+}
+
+/**
+ * A request listener of `node:http`, it also serves as the handler of an Express route,
+ * `app.post('/rpc', createRpcServerNodeHttp({ rpcKey, extension }))`, or of other frameworks giving
+ * access to the node request and response. It answers every POST and event stream GET it gets,
+ * other requests get a 405.
+ * @param {{
+ * rpcKey?:string;
+ * resolveKey?:RPC_RESOLVE_KEY;
+ * logger?:(msg:string)=>void;
+ * extension: {asyncLocalStorage?:AsyncLocalStorage<{request:IncomingMessage;response:ServerResponse;}>;}; 
+ * allowMethods?:string[];
+ * denyMethods?:string[];
+ * stripErrorStack?:boolean;
+ * handshake?: RPC_HANDSHAKE_OPTIONS;
+ * middleware?: RPC_MIDDLEWARE<RPC_CALL_CONTEXT>[];
+ * services?: Map<string,object>;
+ * schemas?: Record<string,RPC_METHOD_SCHEMA>;
+ * tracer?: RPC_TRACER;
+ * onEvent?: (event:RPC_EVENT)=>void;
+ * }} param the options of `createRpcServerKoaRouter`, the store of `extension.asyncLocalStorage`
+ * is `{ request, response }`
+ * @returns {(request:IncomingMessage, response:ServerResponse)=>Promise<void>}
+ */
+export function createRpcServerNodeHttp(param) {
+    const handler = createRpcHttpHandler({ ...param, resolveKey: (request) => resolveRpcKey(param, request) })
+    return async (request, response) => {
+        try {
+            /** @type{object} */
+            let body = Readable.toWeb(request)
+            let result = await handler({
+                method: request.method,
+                header: (name) => {
+                    let value = request.headers[name.toLowerCase()]
+                    return Array.isArray(value) ? value.join(', ') : value ?? null
+                },
+                body: /** @type{ReadableStream} */(body), request, store: { request, response },
+            })
+            if (result.body instanceof ReadableStream) {
+                response.writeHead(result.status, { ...result.headers, 'Connection': 'keep-alive' })
+                /** @type{object} */
+                let b = result.body
+                await pipeline(Readable.fromWeb(b), response)
+            } else {
+                response.writeHead(result.status, result.headers).end(result.body ? Buffer.from(result.body) : undefined)
+            }
+        } catch (error) {
+            console.error('createRpcServerNodeHttp error', error)
+            if (!response.headersSent) {
+                response.writeHead(500)
+            }
+            response.end()
+        }
+    }
 }
@@ -7,7 +7,13 @@ export const ExtensionApi = {
      */
     async hello(name) {
         return `hello ${name}`
-    }
+    },
+    /**
+     * @param {string} name
+     */
+    async askParent(name) {
+        return `parent says ${await parent.confirm(name)}`
+    },
 }
 
-createRpcServerWorker({ parentPort, extension: ExtensionApi, })
+const parent = createRpcServerWorker({ parentPort, extension: ExtensionApi, })
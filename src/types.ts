@@ -2,15 +2,33 @@ export type RPC_TYPE_CALL = 0xdf68f4cb
 export type RPC_TYPE_RETURN = 0x68b17581
 export type RPC_TYPE_CALLBACK = 0x8d65e5cc
 export type RPC_TYPE_ERROR = 0xa07c0f84
+export type RPC_TYPE_CANCEL = 0x3c9e52d7
+export type RPC_TYPE_STREAM = 0x5b3e0d92
+export type RPC_TYPE_STREAM_END = 0xc4a1e8f6
+export type RPC_TYPE_PULL = 0x7a9d2b15
+export type RPC_TYPE_ARG_STREAM = 0x1f6c8e3a
+export type RPC_TYPE_ARG_STREAM_END = 0x93d47b28
+export type RPC_TYPE_ARG_PULL = 0x4e85a1c7
+export type RPC_TYPE_ARG_CANCEL = 0xe27f3b64
 
 export type RPC_DATA_ARG_TYPE_OTHERS = 0xa7f68c
 export type RPC_DATA_ARG_TYPE_FUNCTION = 0x7ff45f
+export type RPC_DATA_ARG_TYPE_SIGNAL = 0x2b9d13
+export type RPC_DATA_ARG_TYPE_STREAM = 0x6c3ea1
 
 
 export type RPC_TYPES = RPC_TYPE_CALL |
     RPC_TYPE_RETURN |
     RPC_TYPE_CALLBACK |
-    RPC_TYPE_ERROR;
+    RPC_TYPE_ERROR |
+    RPC_TYPE_CANCEL |
+    RPC_TYPE_STREAM |
+    RPC_TYPE_STREAM_END |
+    RPC_TYPE_PULL |
+    RPC_TYPE_ARG_STREAM |
+    RPC_TYPE_ARG_STREAM_END |
+    RPC_TYPE_ARG_PULL |
+    RPC_TYPE_ARG_CANCEL;
 
 
 export type PromiseResolvers = {
@@ -24,24 +42,253 @@ export type CALLBACK_ITEM = {
     type: RPC_TYPES;
     promise?: PromiseResolvers;
     callback?: (...data: object[]) => void;
+    /** of the RETURN or ERROR frame that answered the call */
+    trailers?: RPC_METADATA;
+    /** of a callback, the call it was passed to */
+    call?: CALLBACK_ITEM;
+    /** of a call, bytes of the frames that answered it so far */
+    bytes?: number;
+    /** of a call, callback frames received so far */
+    callbacks?: number;
+    /** of a call, called once the stream of its result closes, fails or is canceled */
+    ended?: () => void;
 };
 
+/** call metadata and trailers, values are anything msgpack can pack */
+export type RPC_METADATA = Record<string, any>;
+
 export type RPC_DATA_ARG_ITEM = { type: RPC_DATA_ARG_TYPE; data: object; };
+export type RPC_DATA_HEADER = {
+    /** remaining milliseconds of the caller's timeout when the call was sent */
+    timeout?: number;
+    /** on a CALL, stream chunks the caller accepts without PULL frames, `Infinity` turns flow control off */
+    credit?: number;
+    /** on a RETURN, the result is sent as STREAM frames followed by STREAM_END or ERROR */
+    stream?: boolean;
+    /** on a CALL, the metadata of the caller */
+    metadata?: RPC_METADATA;
+    /** on a RETURN or ERROR, the trailers the callee set */
+    trailers?: RPC_METADATA;
+};
 export type RPC_DATA = {
     id: number;
-    type: RPC_TYPE_CALL | RPC_TYPE_CALLBACK;
+    type: RPC_TYPE_CALL;
+    data: { type: RPC_DATA_ARG_TYPE; data: any; }[];
+    header?: RPC_DATA_HEADER;
+} | {
+    id: number;
+    type: RPC_TYPE_CALLBACK;
     data: { type: RPC_DATA_ARG_TYPE; data: any; }[];
 } | {
     id: number;
     type: RPC_TYPE_RETURN;
     data: any;
+    header?: RPC_DATA_HEADER;
+} | {
+    id: number;
+    type: RPC_TYPE_STREAM;
+    data: any;
+} | {
+    id: number;
+    type: RPC_TYPE_STREAM_END;
+    data: null;
+} | {
+    id: number;
+    /** the caller accepts `data` more stream chunks */
+    type: RPC_TYPE_PULL;
+    data: number;
+} | {
+    /** the key of a stream argument, the frames below belong to it */
+    id: number;
+    type: RPC_TYPE_ARG_STREAM;
+    data: any;
+} | {
+    id: number;
+    /** `data` is set when reading the stream failed */
+    type: RPC_TYPE_ARG_STREAM_END;
+    data: RPC_ERROR_DATA | null;
+} | {
+    id: number;
+    /** the callee accepts `data` more chunks of the stream argument */
+    type: RPC_TYPE_ARG_PULL;
+    data: number;
+} | {
+    id: number;
+    /** the callee stopped reading the stream argument */
+    type: RPC_TYPE_ARG_CANCEL;
+    data: null;
 } | {
     id: number;
     type: RPC_TYPE_ERROR;
-    data: { message: string, stack: string };
+    data: RPC_ERROR_DATA;
+    header?: RPC_DATA_HEADER;
+} | {
+    id: number;
+    type: RPC_TYPE_CANCEL;
+    data: null;
+};
+
+export type RPC_ERROR_DATA = {
+    name: string;
+    message: string;
+    /** constructor name, when it differs from `name` */
+    type?: string;
+    stack?: string;
+    code?: string | number;
+    /** other enumerable own properties */
+    props?: Record<string, any>;
+    /** `{ value }` when the cause is not an error */
+    cause?: RPC_ERROR_DATA | { value: any };
+    /** `AggregateError.errors` */
+    errors?: RPC_ERROR_DATA[];
 };
 
-export type RPC_DATA_ARG_TYPE = RPC_DATA_ARG_TYPE_OTHERS | RPC_DATA_ARG_TYPE_FUNCTION;
+export type RPC_DATA_ARG_TYPE = RPC_DATA_ARG_TYPE_OTHERS | RPC_DATA_ARG_TYPE_FUNCTION | RPC_DATA_ARG_TYPE_SIGNAL | RPC_DATA_ARG_TYPE_STREAM;
+
+export type RPC_CALL_CONTEXT = {
+    id: number;
+    method: string;
+    /** `Date.now()` based time after which the caller has given up, 0 when there is no deadline */
+    deadline: number;
+    /** aborted when the caller cancels or the deadline passes */
+    signal: AbortSignal;
+    /** the arguments the method is called with, callbacks, signals and streams already in their local form */
+    args: any[];
+    /** the return value of the method, once `next` of a middleware resolved */
+    result: any;
+    /** sent by the caller with the call */
+    metadata: RPC_METADATA;
+    /** sent back with the result or the error */
+    trailers: RPC_METADATA;
+};
+
+/** a problem found by a schema, `path` leads from the validated value to the failing one */
+export type RPC_SCHEMA_ISSUE = {
+    message: string;
+    path?: readonly (PropertyKey | { key: PropertyKey })[];
+};
+
+export type RPC_SCHEMA_RESULT = { value: any; issues?: undefined } | { issues: readonly RPC_SCHEMA_ISSUE[] };
+
+/** a Standard Schema (https://standardschema.dev), made by `rpcSchema` or by libraries like zod and valibot */
+export type RPC_SCHEMA = {
+    '~standard': {
+        version: 1;
+        vendor: string;
+        validate(value: unknown): RPC_SCHEMA_RESULT | Promise<RPC_SCHEMA_RESULT>;
+    };
+    /** the JSON Schema of the valid values, set by `rpcSchema` */
+    jsonSchema?: object;
+};
+
+/** the schemas of a method, the values the schemas return replace the arguments and the result */
+export type RPC_METHOD_SCHEMA = {
+    /** one schema per argument, further arguments are refused */
+    args?: RPC_SCHEMA[];
+    /** checked when the result is not a stream */
+    result?: RPC_SCHEMA;
+    /** listed by `$describe` */
+    description?: string;
+};
+
+/** the answer of the reserved method `$describe` */
+export type RPC_DESCRIPTION = {
+    methods: {
+        /** dotted for the methods of nested services */
+        name: string;
+        /** `length` of the function, the parameters before the first one with a default value */
+        length: number;
+        /** positions of the callback arguments declared with `rpcSchema.function` */
+        callbacks: number[];
+        /** JSON Schemas of the arguments, for methods with schemas */
+        args?: Record<string, any>[];
+        result?: Record<string, any>;
+        description?: string;
+    }[];
+};
+
+/** the context of a call made through a proxy, seen by the client's `callMiddleware` */
+export type RPC_INVOKE_CONTEXT = {
+    method: string;
+    args: any[];
+    /** what the proxy call resolves to, once `next` resolved */
+    result: any;
+    /** sent with the call, the client's `metadata` merged with the one of `RpcCallOptions` */
+    metadata: RPC_METADATA;
+    /** the trailers of the answer, once `next` settled */
+    trailers: RPC_METADATA;
+};
+
+/** metadata sent with every call, a function is called for each call */
+export type RPC_CLIENT_METADATA = RPC_METADATA | (() => RPC_METADATA | Promise<RPC_METADATA>);
+
+export type RPC_MIDDLEWARE<T> = (ctx: T, next: () => Promise<void>) => Promise<void> | void;
+
+/** the W3C trace context of a span, the same shape as the `SpanContext` of OpenTelemetry */
+export type RPC_SPAN_CONTEXT = {
+    /** 32 lowercase hex characters */
+    traceId: string;
+    /** 16 lowercase hex characters */
+    spanId: string;
+    traceFlags: number;
+    /** the `tracestate` header, OpenTelemetry passes an object with `serialize()` */
+    traceState?: string | { serialize(): string };
+    isRemote?: boolean;
+};
+
+/** the part of an OpenTelemetry `Span` the helpers use */
+export type RPC_SPAN = {
+    spanContext(): RPC_SPAN_CONTEXT;
+    setAttribute?(key: string, value: any): void;
+    recordException?(error: any): void;
+    /** `code` 2 is `SpanStatusCode.ERROR` */
+    setStatus?(status: { code: number; message?: string }): void;
+    end(): void;
+};
+
+export type RPC_TRACER = {
+    startSpan(name: string, options: {
+        kind: 'client' | 'server';
+        /** the span of the caller, for server spans */
+        parent?: RPC_SPAN_CONTEXT;
+        attributes?: Record<string, any>;
+    }): RPC_SPAN;
+    /** runs `callback` with `span` as the active span, so calls it makes become its children */
+    withSpan?<T>(span: RPC_SPAN, callback: () => T): T;
+};
+
+/** `side` is `client` for calls made through `apiInvoke`, `server` for calls handled by the extension */
+export type RPC_EVENT = {
+    type: 'call-start';
+    side: 'client' | 'server';
+    id: number;
+    /** `<unknown>` on the server for names no method has */
+    method: string;
+    /** frames written to the helper that are not encoded yet */
+    queuedFrames: number;
+} | {
+    type: 'call-end';
+    side: 'client' | 'server';
+    id: number;
+    method: string;
+    /** milliseconds, for streamed results until the RETURN frame on the client and the last chunk on the server */
+    duration: number;
+    /** bytes of the CALL frame, before encryption */
+    requestBytes: number;
+    /** bytes of the RETURN, ERROR, CALLBACK and STREAM frames answering the call, the client sees no STREAM frames */
+    responseBytes: number;
+    callbacks: number;
+    /** `name` of the error the call failed with */
+    error?: string;
+    code?: string | number;
+    queuedFrames: number;
+} | {
+    /** sent by the WebSocket and HTTP transports, an HTTP request counts as a connection */
+    type: 'connection-open' | 'connection-close';
+    side: 'client' | 'server';
+    /** open connections of the transport, including this one on open */
+    active: number;
+};
 
 export declare namespace Electron {
 